@@ -81,7 +81,7 @@ async function loadInitialData() {
             tenantId: row.tenant_id,
             createdOn: row.oldest_created_on || row.sys_created_on || row.created_on,
             count: row.count,
-            assigned: false
+            status: 'pending'
           })).filter(p => p.id);
           
           console.log(`Processed ${products.length} products from CSV`);
@@ -3,7 +3,24 @@ const mongoose = require('mongoose');
 const agentSchema = new mongoose.Schema({
   name: { type: String, required: true },
   role: { type: String, default: 'Item Review' },
-  capacity: { type: Number, default: 30 }
+  capacity: { type: Number, default: 30 },
+  // Routing qualifications; an empty list means no restriction
+  tenants: { type: [String], default: [] },
+  priorities: { type: [String], default: [] },
+  // Roles unlock products the policy's roleRules reserve (and the escalation queue)
+  roles: { type: [String], default: [] },
+  active: { type: Boolean, default: true }, // false once removed from the roster or deactivated
+  // Presence: offline agents can't be given work
+  status: { type: String, enum: ['available', 'on-break', 'offline'], default: 'available' },
+  statusChangedAt: { type: Date },
+  lastSeenAt: { type: Date }, // last status change or heartbeat
+  // Working pattern: one of the named shifts, on these weekdays (0 = Sunday), in timeZone
+  schedule: {
+    shift: { type: String },
+    days: { type: [Number], default: undefined },
+    timeZone: { type: String }
+  },
+  activeCount: { type: Number, default: 0 } // open assignments, kept in step by the assign/complete/unassign routes
 }, { timestamps: true });
 
 module.exports = mongoose.model('Agent', agentSchema);
@@ -3,12 +3,19 @@ const mongoose = require('mongoose');
 const assignmentSchema = new mongoose.Schema({
   agentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent', required: true },
   productId: { type: String, required: true },
-  assignedOn: { type: String },
+  assignedOn: { type: Date },
   completed: { type: Boolean, default: false },
-  completedOn: { type: String },
-  unassignedTime: { type: String },
+  completedOn: { type: Date },
+  unassignedTime: { type: Date },
   unassignedBy: { type: String },
-  wasUnassigned: { type: Boolean, default: false }
+  wasUnassigned: { type: Boolean, default: false },
+  // Set when a supervisor moved the task straight to another agent
+  transferredTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+  transferredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+  // Set when the agent returned the task via /api/return
+  returnReason: { type: String },
+  returnNote: { type: String },
+  leaseExpiresAt: { type: Date } // extended by heartbeats; reclaimed by the lease sweeper once past
 }, { timestamps: true });
 
 module.exports = mongoose.model('Assignment', assignmentSchema);
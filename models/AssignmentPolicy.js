@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const assignmentPolicySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, default: 'default' },
+  // Priority tiers in the order they should be worked (first = most urgent)
+  priorityOrder: { type: [String], default: ['P1', 'P2', 'P3'] },
+  // Minutes of age credited per task in a product's count (0 = ignore count)
+  countWeight: { type: Number, default: 0 },
+  // SLA target per priority tier, in minutes since createdOn
+  slaMinutes: {
+    type: Map,
+    of: Number,
+    default: () => ({ P1: 240, P2: 1440, P3: 4320 })
+  },
+  // Fraction of the SLA after which an item is bumped ahead of all tiers
+  slaBumpThreshold: { type: Number, default: 0.8 },
+  // Products in these tenants/priorities (an empty list matches any) only go
+  // to agents with the rule's role in their roles
+  roleRules: {
+    type: [{
+      _id: false,
+      role: { type: String, required: true },
+      tenants: { type: [String], default: [] },
+      priorities: { type: [String], default: [] }
+    }],
+    default: []
+  },
+  updatedBy: { type: String }
+}, { timestamps: true });
+
+module.exports = mongoose.model('AssignmentPolicy', assignmentPolicySchema);
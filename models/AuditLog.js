@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every state-changing action
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  actor: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: { type: String, required: true }, // "system:..." for background work
+    role: { type: String }
+  },
+  agentIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  productIds: { type: [String], default: [] },
+  assignmentIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  // State read from the database around the change; for tasks and products
+  // { assignments: [...], products: [...] } (see auditSnapshot in server.js)
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  details: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ productIds: 1 });
+
+// Entries are never changed or removed once written
+function rejectChange(next) {
+  next(new Error('Audit log entries are append-only'));
+}
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  auditLogSchema.pre(op, rejectChange);
+}
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Bearer tokens issued by /api/auth/login; only a SHA-256 hash is stored
+const authTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true, expires: 0 } // TTL index removes expired tokens
+}, { timestamps: true });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
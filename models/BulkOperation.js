@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A bulk unassign/complete, recorded so it can be undone for a while
+const bulkOperationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['unassign-all', 'unassign-agent', 'complete-all-agent'],
+    required: true
+  },
+  actor: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: { type: String },
+    role: { type: String }
+  },
+  // The unassignedTime / completedOn the operation wrote
+  closedAt: { type: Date, required: true },
+  // Assignments the operation closed, with the state needed to reopen them
+  assignments: [{
+    _id: false,
+    assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment' },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+    productId: { type: String },
+    wasUnassigned: { type: Boolean }
+  }],
+  // Product routing state before the operation (completing clears escalations)
+  products: [{
+    _id: false,
+    productId: { type: String },
+    escalatedAt: { type: Date },
+    avoidAgentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Agent' }]
+  }],
+  undoExpiresAt: { type: Date, required: true },
+  status: { type: String, enum: ['applied', 'undoing', 'undone'], default: 'applied' },
+  undoneAt: { type: Date },
+  undoneBy: { type: String }
+}, { timestamps: true });
+
+bulkOperationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BulkOperation', bulkOperationSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Settings for the background dispatcher that tops up available agents
+const dispatchSettingsSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, default: 'default' },
+  enabled: { type: Boolean, default: false },
+  // 'least-loaded' fills the agent with the lowest load first; 'round-robin'
+  // hands out one product per agent in turn
+  strategy: { type: String, enum: ['least-loaded', 'round-robin'], default: 'least-loaded' },
+  // Agents are topped up to this fraction of their capacity
+  targetRatio: { type: Number, default: 0.8 },
+  // Where the next round-robin pass starts
+  lastAgentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+  updatedBy: { type: String },
+  // The one process allowed to dispatch, until its lease runs out
+  leaderId: { type: String },
+  leaderLeaseExpiresAt: { type: Date },
+  // Outcome of the last pass, whichever process ran it
+  lastRunAt: { type: Date },
+  lastDispatched: { type: Number, default: 0 },
+  lastError: { type: String }
+}, { timestamps: true });
+
+module.exports = mongoose.model('DispatchSettings', dispatchSettingsSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Background job (uploads, refreshes) claimed by a worker from the jobs collection
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'failed', 'done'],
+    default: 'queued'
+  },
+  progress: { type: Number, default: 0 }, // percent complete
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  // Who queued the job; recorded in the audit log when it finishes
+  requestedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: { type: String },
+    role: { type: String }
+  },
+  workerId: { type: String },
+  startedAt: { type: Date },
+  // Refreshed by the worker while the job runs; a stale one means it died
+  heartbeatAt: { type: Date },
+  finishedAt: { type: Date },
+  // Cache invalidations and SSE events for web processes to replay
+  // ({ type, data, agentIds }); see startJobRelay in server.js
+  events: [mongoose.Schema.Types.Mixed]
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ finishedAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
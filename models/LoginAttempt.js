@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Failed logins counted per key ("user:<name>" or "ip:<address>") within a
+// window; documents expire with the window
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, index: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, expires: 0 } // TTL index removes finished windows
+});
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -5,9 +5,26 @@ const productSchema = new mongoose.Schema({
   name: { type: String, default: "Unnamed Product" },
   priority: { type: String },
   tenantId: { type: String },
-  createdOn: { type: String }, // Alternatively, you could use Date if you convert the CSV strings
+  createdOn: { type: Date }, // oldest task's created time, read in the CSV source time zone
   count: { type: Number, default: 1 },
-  assigned: { type: Boolean, default: false }
+  taskNumbers: { type: [String], default: [] }, // RRTASK numbers grouped into this product
+  // Lifecycle state; only pending products are offered from the regular
+  // pool and escalated ones from the escalation queue
+  status: {
+    type: String,
+    enum: ['pending', 'assigned', 'completed', 'escalated', 'resolved-upstream', 'on-hold'],
+    default: 'pending'
+  },
+  statusChangedAt: { type: Date },
+  // Rank fields under the current assignment policy, recomputed whenever
+  // the product or the policy changes: tier position, createdOn less the
+  // count credit, and when the SLA bump kicks in (null = never)
+  tierRank: { type: Number },
+  rankAt: { type: Date },
+  slaBumpAt: { type: Date, default: null },
+  resolvedUpstreamAt: { type: Date }, // set while missing from the latest uploaded export
+  escalatedAt: { type: Date }, // set while returned for escalation
+  avoidAgentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Agent' }] // agents who returned it and shouldn't get it again
 }, { timestamps: true });
 
 module.exports = mongoose.model('Product', productSchema);
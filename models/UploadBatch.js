@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Products included in one upload (job). A large upload is split over
+// several documents, so recording it costs one insert per chunk rather
+// than a write to every product.
+const uploadBatchSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  source: { type: String }, // 'output' or 'raw-export'
+  fileName: { type: String },
+  at: { type: Date, required: true },
+  productIds: { type: [String], default: [] }
+});
+
+uploadBatchSchema.index({ productIds: 1, at: 1 });
+uploadBatchSchema.index({ jobId: 1 });
+
+module.exports = mongoose.model('UploadBatch', uploadBatchSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Part of a previewed upload's validated rows. Rows are split over several
+// documents so large exports stay under the 16 MB document limit.
+const uploadChunkSchema = new mongoose.Schema({
+  previewId: { type: mongoose.Schema.Types.ObjectId, ref: 'UploadPreview', required: true },
+  index: { type: Number, required: true },
+  products: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  keepIds: { type: [String], default: [] }, // IDs on rejected rows, never treated as removed
+  // Same TTL as the preview; cleared on confirm so queued jobs keep their rows
+  expiresAt: { type: Date, expires: 0 }
+});
+
+uploadChunkSchema.index({ previewId: 1, index: 1 });
+
+module.exports = mongoose.model('UploadChunk', uploadChunkSchema);
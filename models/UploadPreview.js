@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Parsed upload held between /api/upload-output/preview and /confirm
+const uploadPreviewSchema = new mongoose.Schema({
+  token: { type: String, required: true, unique: true },
+  fileName: { type: String },
+  productCount: { type: Number, default: 0 }, // rows are stored in UploadChunk documents
+  fullSnapshot: { type: Boolean, default: false },
+  summary: { type: mongoose.Schema.Types.Mixed },
+  expiresAt: { type: Date, required: true, expires: 0 } // TTL index removes stale previews
+}, { timestamps: true });
+
+module.exports = mongoose.model('UploadPreview', uploadPreviewSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  passwordHash: { type: String, required: true }, // "salt:hash" from crypto.scrypt
+  role: { type: String, enum: ['agent', 'supervisor', 'admin'], default: 'agent' },
+  agentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' }, // the agent an "agent" user works as
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+module.exports = mongoose.model('User', userSchema);
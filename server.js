@@ -3,14 +3,80 @@
  * 
  * Expected CSV Columns (header row):
  *   item.abstract_product_id, abstract_product_id, rule_priority, tenant_id, oldest_created_on, count
+ *   (CSV or xlsx; header fallbacks such as rule.priority/priority, tenant_id/TenantID/Tenant ID
+ *   and sys_created_on/created_on/CreatedOn are accepted, as data/CONSOL.PY did)
  * 
  * Features:
  * - Connects to MongoDB via MONGO_URI.
  * - Loads agents from "Walmart BH Roster.xlsx" (using column E) if none exist.
  * - Loads products from "output.csv" if none exist.
- * - CSV upload endpoint uses bulkWrite to efficiently update/insert products.
- * - The /api/assign endpoint now queries directly for an available product.
- * - Provides endpoints for refreshing data, task assignment, completion, unassignment, and CSV downloads.
+ * - CSV upload endpoint reconciles the export against current products with
+ *   bulkWrite: in-flight assignments are preserved and products missing from
+ *   the export (other than completed ones) are flagged as resolved upstream.
+ *   Empty exports are refused, IDs on rejected rows are never flagged, and
+ *   flagging more than RECONCILE_MAX_REMOVAL_RATIO of the products needs
+ *   fullSnapshot=true.
+ * - /api/upload-output/preview validates a CSV and returns the diff it would
+ *   apply; /api/upload-output/confirm applies it using the preview token.
+ * - /api/upload-raw-export accepts the raw ServiceNow task export and groups
+ *   it into products itself (the same grouping data/CONSOL.PY performed).
+ * - The /api/assign endpoint picks products using a configurable ranking
+ *   policy (priority tier, SLA bumps, age, count) editable via /api/assignment-policy.
+ *   Each product stores its rank fields (tierRank, rankAt, slaBumpAt), which
+ *   are recomputed when it is written and when the policy changes.
+ *   Agents only get products matching their tenants and priorities, and the
+ *   policy's roleRules reserve tenants/priorities for agents with a role.
+ * - Assignments carry a lease (LEASE_TTL_MINUTES) extended via heartbeats;
+ *   a background sweeper unassigns expired leases and puts back products
+ *   left assigned without an open assignment (ORPHAN_GRACE_MINUTES).
+ * - List routes (/api/products, /api/queue, /api/assignments,
+ *   /api/unassigned-products) accept filters and sorting, and return
+ *   { data, meta } pages with cursor pagination when limit or cursor is
+ *   given (plain arrays otherwise); CSV downloads accept the same filters.
+ * - /api/events streams assign, complete, unassign, return, transfer,
+ *   status, upload and refresh events (Server-Sent Events), globally or per agent.
+ * - /api/analytics/agents and /api/analytics/queue serve productivity and
+ *   SLA aging metrics computed with Mongo aggregation.
+ * - Uploads and refreshes run as background jobs (Mongo-backed queue, no
+ *   Redis) with progress tracked via /api/jobs/:id; worker.js can run them
+ *   in a separate process. Uploaded files are kept in GridFS until their
+ *   job runs, and each web process replays finished jobs' cache
+ *   invalidations and events.
+ * - Token authentication (/api/auth/login, failed attempts throttled per
+ *   username, and per IP once TRUST_PROXY is set) with agent, supervisor
+ *   and admin roles; agents may only act on their own work and see their
+ *   own event stream, bulk operations are supervisor/admin only. CORS is
+ *   limited to CORS_ORIGINS.
+ * - Agents return tasks they can't finish via /api/return with a reason
+ *   code and note; escalations go to a separate queue (/api/escalations,
+ *   assign with queue: 'escalation') worked by ESCALATION_ROLE agents.
+ * - Agents have a presence status (available, on-break, offline; set via
+ *   /api/agent-status) and an optional shift schedule. Offline agents get
+ *   no new work, and going offline can release their tasks. dashboard-data
+ *   includes a headcount by status.
+ * - Products have a lifecycle status (pending, assigned, completed,
+ *   escalated, resolved-upstream, on-hold) with enforced transitions;
+ *   completed products only return to the pool when an upload brings new
+ *   work for them. Supervisors hold and release products via
+ *   /api/products/:id/status.
+ * - /api/products/:id returns a product with its assignment timeline and
+ *   upload batches; /api/products/:id/export downloads it as CSV/xlsx/JSON.
+ * - An optional auto-dispatcher (admin toggle at /api/dispatcher) tops up
+ *   available agents in the background, least-loaded or round-robin.
+ * - Bulk unassign/complete operations can be undone for
+ *   UNDO_WINDOW_MINUTES via /api/operations/:id/undo, unless the tasks
+ *   have been touched since.
+ * - /api/transfer moves specific tasks directly to another agent, within
+ *   that agent's capacity and qualifications.
+ * - Timestamps are stored as Dates. CSV timestamps are read in
+ *   CSV_SOURCE_TIMEZONE (or an upload's sourceTimezone); JSON and CSV/xlsx
+ *   output is rendered in the requester's ?tz= / X-Timezone zone. String
+ *   timestamps from older versions are migrated on startup.
+ * - Every state-changing action (assign, complete, unassign, uploads,
+ *   refreshes, agent/user/policy edits) is written to an append-only audit
+ *   log, queryable at /api/audit-log and exported at /api/download/audit-log.
+ * - Provides endpoints for refreshing data, task assignment, completion, unassignment, and
+ *   CSV/xlsx downloads (plus a combined workbook at /api/download/workbook).
  ***************************************************************/
 
 require('dotenv').config();
@@ -20,20 +86,53 @@ const fs = require('fs').promises;
 const path = require('path');
 const csvParser = require('csv-parser');
 const xlsx = require('xlsx');
-const { createReadStream } = require('fs');
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
 const multer = require('multer');
 const { format } = require('@fast-csv/format');
 const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 
 // Import Models
 const Agent = require('./models/Agent');
 const Product = require('./models/Product');
 const Assignment = require('./models/Assignment');
+const AssignmentPolicy = require('./models/AssignmentPolicy');
+const UploadPreview = require('./models/UploadPreview');
+const UploadChunk = require('./models/UploadChunk');
+const UploadBatch = require('./models/UploadBatch');
+const Job = require('./models/Job');
+const User = require('./models/User');
+const AuthToken = require('./models/AuthToken');
+const LoginAttempt = require('./models/LoginAttempt');
+const AuditLog = require('./models/AuditLog');
+const BulkOperation = require('./models/BulkOperation');
+const DispatchSettings = require('./models/DispatchSettings');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-app.use(cors());
+// Proxies in front of the app (TRUST_PROXY: a hop count, "true", or
+// addresses/subnets as Express takes them), so req.ip is the client's
+// address rather than the router's. Unset means no proxy is trusted.
+const TRUST_PROXY = (() => {
+  const value = (process.env.TRUST_PROXY || '').trim();
+  if (!value || value === 'false') return null;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+})();
+if (TRUST_PROXY !== null) app.set('trust proxy', TRUST_PROXY);
+
+// Only origins listed in CORS_ORIGINS (comma-separated) may call the API
+// from a browser; requests without an Origin header (curl, server-side) pass
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map(o => o.trim())
+  .filter(Boolean);
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || CORS_ORIGINS.includes(origin))
+}));
 app.use(express.json());
 
 // Performance monitoring middleware
@@ -42,16 +141,23 @@ app.use((req, res, next) => {
   
   res.on('finish', () => {
     const duration = Date.now() - start;
-    console.log(`${req.method} ${req.url} - ${duration}ms`);
+    // Keep query-string tokens out of the logs
+    const url = req.url.replace(/access_token=[^&]+/, 'access_token=***');
+    console.log(`${req.method} ${url} - ${duration}ms`);
     
     if (duration > 1000) {
-      console.warn(`Slow request: ${req.method} ${req.url} - ${duration}ms`);
+      console.warn(`Slow request: ${req.method} ${url} - ${duration}ms`);
     }
   });
   
   next();
 });
 
+// Every /api route except login requires a bearer token
+app.use('/api', authenticate);
+// Dates in JSON responses are rendered in the requester's time zone
+app.use('/api', applyRequestTimeZone);
+
 // ------------------------------
 // MongoDB Connection (options removed to silence warnings)
 mongoose.connect(process.env.MONGO_URI)
@@ -64,6 +170,94 @@ const DATA_DIR = path.join(__dirname, 'data');
 const OUTPUT_CSV = path.join(DATA_DIR, 'output.csv');
 const ROSTER_EXCEL = path.join(DATA_DIR, 'Walmart BH Roster.xlsx');
 
+// How long an upload preview can be confirmed
+const UPLOAD_PREVIEW_TTL_MINUTES = Number(process.env.UPLOAD_PREVIEW_TTL_MINUTES) || 30;
+
+// Background job worker
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const JOB_HEARTBEAT_MS = Number(process.env.JOB_HEARTBEAT_MS) || 30000;
+// A running job whose heartbeat is older than this is failed as abandoned
+const JOB_STALE_MINUTES = Number(process.env.JOB_STALE_MINUTES) || 5;
+// Finished jobs are re-read this far back, in case they were written out
+// of finishedAt order by different workers
+const JOB_RELAY_OVERLAP_MS = 60000;
+
+// Authentication
+const AUTH_TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+// Failed logins allowed per username and per client IP in each window
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+const LOGIN_WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+
+// Time zones (IANA names). CSV/xlsx exports carry no zone, so their
+// timestamps are read as CSV_SOURCE_TIMEZONE; responses use the
+// requester's ?tz= or X-Timezone header, falling back to DISPLAY_TIMEZONE.
+const CSV_SOURCE_TIMEZONE = process.env.CSV_SOURCE_TIMEZONE || 'UTC';
+const DISPLAY_TIMEZONE = process.env.DISPLAY_TIMEZONE || 'UTC';
+
+// ------------------------------
+// Shifts used to bucket analytics (start/end hours; end may wrap past midnight)
+const SHIFTS = [
+  { name: 'morning', start: 6, end: 14 },
+  { name: 'afternoon', start: 14, end: 22 },
+  { name: 'night', start: 22, end: 6 }
+];
+
+// ------------------------------
+// Assignment Leases
+const LEASE_TTL_MINUTES = Number(process.env.LEASE_TTL_MINUTES) || 60;
+const LEASE_SWEEP_INTERVAL_MS = Number(process.env.LEASE_SWEEP_INTERVAL_MS) || 60000;
+const LEASE_EXPIRED_MARKER = 'system:lease-expired';
+// Products left assigned without an open assignment (a process died
+// mid-transfer or mid-claim) are put back after this long
+const ORPHAN_GRACE_MINUTES = Number(process.env.ORPHAN_GRACE_MINUTES) || 5;
+const ORPHAN_RECLAIM_MARKER = 'system:orphan-reclaim';
+// Startup waits this long between the two activeCount snapshots it compares
+const ACTIVE_COUNT_SETTLE_MS = Number(process.env.ACTIVE_COUNT_SETTLE_MS) || 5000;
+
+// ------------------------------
+// Product Lifecycle
+// Allowed status changes. Assign, complete and unassign only move products
+// along these edges (with conditional updates); the rest are set by
+// supervisors through /api/products/:id/status or by upload reconciliation.
+const PRODUCT_TRANSITIONS = {
+  pending: ['assigned', 'on-hold', 'resolved-upstream'],
+  assigned: ['pending', 'completed', 'escalated', 'resolved-upstream'],
+  escalated: ['assigned', 'on-hold', 'resolved-upstream'],
+  // Undoing a bulk completion, or an upload bringing new work for the product
+  completed: ['assigned', 'pending'],
+  'resolved-upstream': ['pending', 'escalated'],
+  'on-hold': ['pending', 'escalated', 'resolved-upstream']
+};
+const PRODUCT_STATUSES = Object.keys(PRODUCT_TRANSITIONS);
+// Statuses a supervisor may set directly
+const MANUAL_PRODUCT_STATUSES = ['pending', 'escalated', 'resolved-upstream', 'on-hold'];
+
+// ------------------------------
+// Agent Presence
+const AGENT_STATUSES = ['available', 'on-break', 'offline'];
+// Whether going offline releases an agent's open tasks when the request
+// doesn't say (releaseTasks)
+const RELEASE_TASKS_ON_OFFLINE = process.env.RELEASE_TASKS_ON_OFFLINE === 'true';
+
+// ------------------------------
+// Auto-Dispatch (toggled at runtime via /api/dispatcher)
+const DISPATCH_INTERVAL_MS = Number(process.env.DISPATCH_INTERVAL_MS) || 30000;
+// Most products handed out in one dispatcher pass
+const DISPATCH_BATCH_LIMIT = Number(process.env.DISPATCH_BATCH_LIMIT) || 200;
+const DISPATCHER_MARKER = 'system:dispatcher';
+
+// ------------------------------
+// Returned Tasks
+// Reason codes an agent may give when returning a task; 'escalation'
+// moves the product to the escalation queue, which only agents with
+// ESCALATION_ROLE in their roles can draw from.
+const RETURN_REASONS = ['escalation', 'wrong-tenant', 'missing-info', 'other'];
+const ESCALATION_ROLE = process.env.ESCALATION_ROLE || 'escalation';
+const MAX_RETURN_NOTE_LENGTH = 1000;
+
+// How long a bulk unassign/complete can be undone
+const UNDO_WINDOW_MINUTES = Number(process.env.UNDO_WINDOW_MINUTES) || 15;
+
 // ------------------------------
 // Multer Configuration
 const storage = multer.diskStorage({
@@ -71,6 +265,17 @@ const storage = multer.diskStorage({
   filename: (req, file, cb) => { cb(null, Date.now() + '-' + file.originalname); }
 });
 const upload = multer({ storage });
+// Most files accepted by one multi-file upload (e.g. one CSV per shift)
+const MAX_UPLOAD_FILES = 20;
+// An upload that would flag more than this fraction of the live products as
+// resolved upstream only does so when it's sent with fullSnapshot=true;
+// otherwise the removals are withheld and reported. 0 is a valid setting
+// (every removal needs fullSnapshot), so only an unset or invalid value
+// falls back to the default.
+const MAX_REMOVAL_RATIO = (() => {
+  const ratio = parseFloat(process.env.RECONCILE_MAX_REMOVAL_RATIO);
+  return Number.isFinite(ratio) && ratio >= 0 ? ratio : 0.1;
+})();
 
 // ------------------------------
 // Helper Functions
@@ -96,9 +301,13 @@ async function fileExists(filePath) {
 async function createIndexes() {
   try {
     // Create indexes for faster queries
-    await Product.collection.createIndex({ assigned: 1, createdOn: 1 });
+    await Product.collection.createIndex({ status: 1, createdOn: 1 });
+    await Product.collection.createIndex({ status: 1, priority: 1, createdOn: 1 });
+    await Product.collection.createIndex({ status: 1, tierRank: 1, rankAt: 1, createdOn: 1 });
+    await Product.collection.createIndex({ status: 1, slaBumpAt: 1 });
     await Assignment.collection.createIndex({ agentId: 1, completed: 1, unassignedTime: 1 });
     await Assignment.collection.createIndex({ productId: 1 });
+    await Assignment.collection.createIndex({ completed: 1, leaseExpiresAt: 1 });
     await Assignment.collection.createIndex({ 
       completed: 1, 
       unassignedTime: 1 
@@ -141,6 +350,894 @@ const cache = {
   }
 };
 
+// ------------------------------
+// Live Event Stream (Server-Sent Events)
+// Recent events are kept in memory so reconnecting clients can resume
+// from their Last-Event-ID. IDs are "<epoch>-<seq>", the epoch being when
+// this process started, so IDs from before a restart or from another
+// process are recognised. A client resuming from an ID that can't be
+// resumed gets a "reset" event and should reload its data.
+const eventHub = {
+  epoch: Date.now().toString(36),
+  nextSeq: 1,
+  history: [],
+  maxHistory: 1000,
+  clients: new Set(),
+
+  // agentIds lists the agents an event concerns (empty = everyone)
+  publish(type, data = {}, agentIds = []) {
+    const event = {
+      id: `${this.epoch}-${this.nextSeq++}`,
+      type,
+      agentIds: agentIds.map(String),
+      data,
+      timestamp: new Date().toISOString()
+    };
+    this.history.push(event);
+    if (this.history.length > this.maxHistory) this.history.shift();
+    for (const client of this.clients) {
+      if (this.matches(client, event)) this.send(client.res, event);
+    }
+    return event;
+  },
+
+  matches(client, event) {
+    return !client.agentId || event.agentIds.length === 0 || event.agentIds.includes(client.agentId);
+  },
+
+  seq(id) {
+    const [epoch, seq] = String(id).split('-');
+    return epoch === this.epoch && /^\d+$/.test(seq || '') ? Number(seq) : null;
+  },
+
+  // Events after lastId, or null when lastId is from another epoch or
+  // older than the history kept
+  since(lastId) {
+    const seq = this.seq(lastId);
+    const oldest = this.history.length > 0 ? this.seq(this.history[0].id) : this.nextSeq;
+    if (seq === null || seq >= this.nextSeq || seq < oldest - 1) return null;
+    return this.history.filter(e => this.seq(e.id) > seq);
+  },
+
+  send(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  },
+
+  // Tells a client its resume point is gone; its next reconnect resumes
+  // from now
+  sendReset(res) {
+    this.send(res, { id: `${this.epoch}-${this.nextSeq - 1}`, type: 'reset', timestamp: new Date().toISOString() });
+  }
+};
+
+// ------------------------------
+// Assignment Policy (how unassigned products are ranked for /api/assign)
+// The cached policy is only reused while its updatedAt still matches the
+// stored one, so an update made through any process is seen right away.
+async function getAssignmentPolicy() {
+  const cached = cache.get('assignment-policy');
+  if (cached) {
+    const stored = await AssignmentPolicy.findOne({ key: 'default' }, { updatedAt: 1 }).lean();
+    if (stored && new Date(stored.updatedAt).getTime() === new Date(cached.updatedAt).getTime()) return cached;
+  }
+  // Upsert so the default policy document exists on first use
+  const policy = await AssignmentPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true, lean: true }
+  );
+  cache.set('assignment-policy', policy);
+  return policy;
+}
+
+// Validates a partial policy update; returns { update, errors }
+function validatePolicyUpdate(body) {
+  const update = {};
+  const errors = [];
+  if (body.priorityOrder !== undefined) {
+    if (!Array.isArray(body.priorityOrder) ||
+        body.priorityOrder.some(p => typeof p !== 'string' || p.trim() === '')) {
+      errors.push('priorityOrder must be an array of non-empty strings');
+    } else {
+      update.priorityOrder = body.priorityOrder.map(p => p.trim());
+    }
+  }
+  if (body.countWeight !== undefined) {
+    if (typeof body.countWeight !== 'number' || body.countWeight < 0) {
+      errors.push('countWeight must be a non-negative number');
+    } else {
+      update.countWeight = body.countWeight;
+    }
+  }
+  if (body.slaMinutes !== undefined) {
+    const entries = body.slaMinutes && typeof body.slaMinutes === 'object'
+      ? Object.entries(body.slaMinutes)
+      : null;
+    if (!entries || entries.some(([, v]) => typeof v !== 'number' || v <= 0)) {
+      errors.push('slaMinutes must map priority tiers to positive numbers of minutes');
+    } else {
+      update.slaMinutes = body.slaMinutes;
+    }
+  }
+  if (body.slaBumpThreshold !== undefined) {
+    if (typeof body.slaBumpThreshold !== 'number' ||
+        body.slaBumpThreshold <= 0 || body.slaBumpThreshold > 1) {
+      errors.push('slaBumpThreshold must be a number between 0 (exclusive) and 1');
+    } else {
+      update.slaBumpThreshold = body.slaBumpThreshold;
+    }
+  }
+  if (body.roleRules !== undefined) {
+    const isStringList = v => v === undefined || (Array.isArray(v) && v.every(s => typeof s === 'string'));
+    const valid = Array.isArray(body.roleRules) && body.roleRules.every(r =>
+      r && typeof r.role === 'string' && r.role.trim() !== '' &&
+      isStringList(r.tenants) && isStringList(r.priorities) &&
+      (r.tenants || []).length + (r.priorities || []).length > 0);
+    if (!valid) {
+      errors.push('roleRules must be an array of { role, tenants, priorities } with at least one tenant or priority each');
+    } else {
+      update.roleRules = body.roleRules.map(r => ({
+        role: r.role.trim(),
+        tenants: r.tenants || [],
+        priorities: r.priorities || []
+      }));
+    }
+  }
+  return { update, errors };
+}
+
+// Products are ranked on stored fields so the ranking can use an index:
+// items nearing SLA breach (slaBumpAt passed) first, then by priority tier
+// (tierRank), then by age plus optional credit per task in count (rankAt,
+// createdOn moved earlier by countWeight minutes per task), oldest first.
+// Products without a createdOn rank after all dated ones.
+const RANK_SORT = { tierRank: 1, rankAt: 1, createdOn: 1, _id: 1 };
+const UNDATED_RANK_AT = new Date('9999-12-31T00:00:00Z');
+
+// $set stage computing the stored rank fields under a policy
+function productRankFields(policy) {
+  const priorityOrder = policy.priorityOrder || [];
+  const slaBranches = Object.entries(policy.slaMinutes || {}).map(([tier, minutes]) => ({
+    case: { $eq: ['$priority', tier] },
+    then: minutes
+  }));
+  return {
+    $set: {
+      tierRank: {
+        $let: {
+          vars: { idx: { $indexOfArray: [priorityOrder, '$priority'] } },
+          in: { $cond: [{ $eq: ['$$idx', -1] }, priorityOrder.length, '$$idx'] }
+        }
+      },
+      rankAt: {
+        $let: {
+          vars: { created: toDateExpression('$createdOn') },
+          in: {
+            $cond: [
+              { $eq: ['$$created', null] },
+              UNDATED_RANK_AT,
+              { $subtract: ['$$created', { $multiply: [{ $ifNull: ['$count', 1] }, (policy.countWeight || 0) * 60000] }] }
+            ]
+          }
+        }
+      },
+      slaBumpAt: {
+        $let: {
+          vars: {
+            created: toDateExpression('$createdOn'),
+            sla: slaBranches.length > 0
+              ? { $switch: { branches: slaBranches, default: null } }
+              : { $literal: null }
+          },
+          in: {
+            $cond: [
+              { $or: [{ $eq: ['$$created', null] }, { $eq: ['$$sla', null] }] },
+              null,
+              { $add: ['$$created', { $multiply: ['$$sla', policy.slaBumpThreshold * 60000] }] }
+            ]
+          }
+        }
+      }
+    }
+  };
+}
+
+// Recomputes the stored rank fields of the products matching filter
+async function refreshProductRanks(policy, filter = {}) {
+  return Product.updateMany(filter, [productRankFields(policy)]);
+}
+
+// Recomputes the rank fields of the given products (by id) under the
+// current policy, in chunks
+async function refreshProductRanksById(ids) {
+  if (ids.length === 0) return;
+  const CHUNK_SIZE = 1000;
+  const policy = await getAssignmentPolicy();
+  for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+    await refreshProductRanks(policy, { id: { $in: ids.slice(i, i + CHUNK_SIZE) } });
+  }
+}
+
+// Products from before rank fields were stored would sort ahead of all
+// others; re-running only touches products still without them.
+async function migrateProductRanks() {
+  const result = await refreshProductRanks(await getAssignmentPolicy(), { tierRank: { $exists: false } });
+  if (result.modifiedCount > 0) {
+    console.log(`Ranked ${result.modifiedCount} products from before rank fields were stored`);
+  }
+}
+
+// The best-ranked products matching match, up to limit: SLA-bumped ones
+// first, then the rest, each read off the rank index
+async function rankedCandidates(match, limit) {
+  const now = new Date();
+  const base = { status: 'pending', ...match };
+  const bumped = await Product.find({ ...base, slaBumpAt: { $lte: now } }, { _id: 1, status: 1 })
+    .sort(RANK_SORT).limit(limit).lean();
+  if (bumped.length >= limit) return bumped;
+  const rest = await Product.find({ ...base, slaBumpAt: { $not: { $lte: now } } }, { _id: 1, status: 1 })
+    .sort(RANK_SORT).limit(limit - bumped.length).lean();
+  return [...bumped, ...rest];
+}
+
+// ------------------------------
+// Atomic Claim Helpers
+// Agents carry an activeCount of open assignments. It is incremented
+// conditionally (only while below capacity) before a product is claimed,
+// and decremented whenever assignments are completed or unassigned.
+// Inactive and offline agents can't reserve anything.
+async function reserveAgentCapacity(agentId, slots = 1) {
+  return Agent.findOneAndUpdate(
+    {
+      _id: agentId,
+      active: { $ne: false },
+      status: { $ne: 'offline' },
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$activeCount', 0] }, slots] }, '$capacity'] }
+    },
+    { $inc: { activeCount: slots } },
+    { new: true }
+  );
+}
+
+// Reserves as many slots as possible up to `wanted` (all remaining
+// capacity when omitted). Returns { agent, reserved }; agent is null
+// when it doesn't exist, reserved is 0 when the agent is full.
+async function reserveAgentCapacityUpTo(agentId, wanted) {
+  const MAX_ATTEMPTS = 5;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const current = await Agent.findById(agentId).lean();
+    if (!current) return { agent: null, reserved: 0 };
+    if (current.active === false || current.status === 'offline') return { agent: current, reserved: 0 };
+    const remaining = current.capacity - (current.activeCount || 0);
+    const slots = Math.min(wanted || remaining, remaining);
+    if (slots <= 0) return { agent: current, reserved: 0 };
+    const agent = await reserveAgentCapacity(agentId, slots);
+    // Another request changed activeCount in between; re-read and retry
+    if (agent) return { agent, reserved: slots };
+  }
+  return { agent: await Agent.findById(agentId).lean(), reserved: 0 };
+}
+
+// Releases reserved capacity; counts maps agentId -> number of slots
+async function releaseAgentCapacity(counts) {
+  const ops = Object.entries(counts)
+    .filter(([, n]) => n > 0)
+    .map(([agentId, n]) => ({
+      updateOne: {
+        filter: { _id: agentId },
+        update: [{
+          $set: { activeCount: { $max: [0, { $subtract: [{ $ifNull: ['$activeCount', 0] }, n] }] } }
+        }]
+      }
+    }));
+  if (ops.length > 0) {
+    await Agent.bulkWrite(ops);
+  }
+}
+
+// Tallies assignments per agent, e.g. { agentId: 3 }
+function countByAgent(assignments) {
+  const counts = {};
+  for (const a of assignments) {
+    counts[a.agentId] = (counts[a.agentId] || 0) + 1;
+  }
+  return counts;
+}
+
+// Reads each agent's stored activeCount next to its open assignments
+async function activeCountSnapshot() {
+  const agents = await Agent.find({}, { activeCount: 1 }).lean();
+  const active = await Assignment.aggregate([
+    { $match: { completed: false, unassignedTime: { $exists: false } } },
+    { $group: { _id: '$agentId', count: { $sum: 1 } } }
+  ]);
+  const open = new Map(active.map(a => [String(a._id), a.count]));
+  return new Map(agents.map(a => [
+    String(a._id),
+    { stored: a.activeCount ?? null, open: open.get(String(a._id)) || 0 }
+  ]));
+}
+
+// Corrects agents whose activeCount disagrees with their open assignments.
+// Other processes may be assigning meanwhile, and a reservation is counted
+// before its assignment is written, so only agents whose numbers held
+// still across two snapshots are corrected, each by compare-and-set.
+async function syncAgentActiveCounts() {
+  const first = await activeCountSnapshot();
+  await new Promise(resolve => setTimeout(resolve, ACTIVE_COUNT_SETTLE_MS));
+  const second = await activeCountSnapshot();
+  const ops = [];
+  for (const [agentId, { stored, open }] of second) {
+    const earlier = first.get(agentId);
+    if (!earlier || earlier.stored !== stored || earlier.open !== open) continue;
+    if ((stored || 0) === open) continue;
+    ops.push({
+      updateOne: { filter: { _id: agentId, activeCount: stored }, update: { $set: { activeCount: open } } }
+    });
+  }
+  const result = ops.length > 0 ? await Agent.bulkWrite(ops) : { modifiedCount: 0 };
+  console.log(`Synced active assignment counts: corrected ${result.modifiedCount} of ${second.size} agents`);
+}
+
+// Claims up to `limit` of the best-ranked unassigned products, each with
+// a conditional update. Candidates claimed by another request in the
+// meantime are skipped; returns the claimed products in ranking order, as
+// they were before the claim (id and audited fields only).
+async function claimProducts(limit, match = {}) {
+  const EXTRA_CANDIDATES = 20;
+  const MAX_ROUNDS = 5;
+  const claimed = [];
+  for (let round = 0; round < MAX_ROUNDS && claimed.length < limit; round++) {
+    const candidates = await rankedCandidates(match, limit - claimed.length + EXTRA_CANDIDATES);
+    if (candidates.length === 0) break;
+    for (const candidate of candidates) {
+      const product = await Product.findOneAndUpdate(
+        { _id: candidate._id, status: candidate.status },
+        { $set: { status: 'assigned', statusChangedAt: new Date() } },
+        { projection: AUDITED_PRODUCT_PROJECTION, lean: true }
+      );
+      if (product) claimed.push(product);
+      if (claimed.length >= limit) break;
+    }
+  }
+  return claimed;
+}
+
+// Status a product falls back to when its assignment ends without being
+// completed: resolved-upstream if it left the export meanwhile, the
+// escalation queue if it was escalated, otherwise the pool
+const RELEASED_STATUS = {
+  $cond: [
+    { $ifNull: ['$resolvedUpstreamAt', false] },
+    'resolved-upstream',
+    { $cond: [{ $ifNull: ['$escalatedAt', false] }, 'escalated', 'pending'] }
+  ]
+};
+
+// Moves the assigned products matching filter to their released status
+function releaseProducts(filter) {
+  return Product.updateMany(
+    { ...filter, status: 'assigned' },
+    [{ $set: { status: RELEASED_STATUS, statusChangedAt: '$$NOW' } }]
+  );
+}
+
+// Product status an assign queue draws from
+function queueStatus(queue) {
+  return queue === 'escalation' ? 'escalated' : 'pending';
+}
+
+// The policy's role rules whose role the agent doesn't have
+function unmetRoleRules(agent, policy) {
+  return (policy.roleRules || []).filter(rule => !(agent.roles || []).includes(rule.role));
+}
+
+// Products a role rule covers: those in its tenants and priorities (an
+// empty list matches any)
+function roleRuleFilter(rule) {
+  const filter = {};
+  if (rule.tenants.length > 0) filter.tenantId = { $in: rule.tenants };
+  if (rule.priorities.length > 0) filter.priority = { $in: rule.priorities };
+  return filter;
+}
+
+// Restricts products to the tenants and priorities an agent is qualified
+// for, leaving out ones the agent returned and ones the policy's role
+// rules reserve for roles the agent lacks. queue 'escalation' draws from
+// escalated products instead of the regular pool.
+function buildAgentMatch(agent, policy, queue = 'standard') {
+  const match = { status: queueStatus(queue), avoidAgentIds: { $ne: agent._id } };
+  if (agent.tenants && agent.tenants.length > 0) {
+    match.tenantId = { $in: agent.tenants };
+  }
+  if (agent.priorities && agent.priorities.length > 0) {
+    match.priority = { $in: agent.priorities };
+  }
+  const unmet = unmetRoleRules(agent, policy);
+  if (unmet.length > 0) {
+    match.$nor = unmet.map(roleRuleFilter);
+  }
+  return match;
+}
+
+async function claimNextProduct(match = {}) {
+  const [product] = await claimProducts(1, match);
+  return product || null;
+}
+
+// True when an agent's tenant/priority qualifications and roles allow the
+// product (the same rules as buildAgentMatch)
+function agentQualifiedFor(agent, product, policy) {
+  if (agent.tenants && agent.tenants.length > 0 && !agent.tenants.includes(product.tenantId)) return false;
+  if (agent.priorities && agent.priorities.length > 0 && !agent.priorities.includes(product.priority)) return false;
+  return !unmetRoleRules(agent, policy).some(rule =>
+    (rule.tenants.length === 0 || rule.tenants.includes(product.tenantId)) &&
+    (rule.priorities.length === 0 || rule.priorities.includes(product.priority)));
+}
+
+// Moves open assignments to toAgent, whose capacity must already be
+// reserved for all of them. Each old assignment is closed with a
+// conditional update (marked transferredTo) and a new one is opened for
+// toAgent; products stay assigned throughout, so nobody else can claim
+// them mid-move. If the new assignments can't be written the old ones are
+// reopened; if the process dies in between, reclaimOrphanedProducts puts
+// the products back. Returns { closed, opened }.
+async function transferAssignments(assignments, toAgent, unassignedBy) {
+  const now = new Date();
+  const closed = [];
+  for (const a of assignments) {
+    const assignment = await Assignment.findOneAndUpdate(
+      { _id: a._id, completed: false, unassignedTime: { $exists: false } },
+      { $set: { unassignedTime: now, unassignedBy, transferredTo: toAgent._id } },
+      { new: true }
+    );
+    if (assignment) closed.push(assignment);
+  }
+  let opened = [];
+  try {
+    if (closed.length > 0) {
+      const leaseExpiresAt = newLeaseExpiry();
+      opened = await Assignment.insertMany(closed.map(a => ({
+        agentId: toAgent._id,
+        productId: a.productId,
+        assignedOn: now,
+        completed: false,
+        leaseExpiresAt,
+        transferredFrom: a.agentId
+      })));
+    }
+  } catch (error) {
+    await Assignment.updateMany(
+      { _id: { $in: closed.map(a => a._id) } },
+      { $unset: { unassignedTime: '', unassignedBy: '', transferredTo: '' } }
+    );
+    await releaseAgentCapacity({ [toAgent._id]: assignments.length });
+    throw error;
+  }
+  // Free the previous holders' slots, and any target slots left unused
+  // because an assignment was closed by someone else in the meantime
+  const released = countByAgent(closed);
+  released[toAgent._id] = (released[toAgent._id] || 0) + assignments.length - closed.length;
+  await releaseAgentCapacity(released);
+  return { closed, opened };
+}
+
+// Validates the queue an assign request draws from ('standard', the
+// default, or 'escalation'). Returns an error ({ status, message }) or null.
+async function checkQueueAccess(agentId, queue) {
+  if (queue === undefined || queue === 'standard') return null;
+  if (queue !== 'escalation') return { status: 400, message: 'queue must be standard or escalation' };
+  const agent = await Agent.findById(agentId, { roles: 1 }).lean();
+  if (!agent) return { status: 404, message: 'Agent not found' };
+  if (!(agent.roles || []).includes(ESCALATION_ROLE)) {
+    return { status: 403, message: 'Agent is not qualified for the escalation queue' };
+  }
+  return null;
+}
+
+// Claims the best product for an agent whose capacity slot is already
+// reserved and opens its assignment. The slot (and claim) are given back
+// if nothing is available or the assignment can't be written. Returns
+// { product, assignment } or null.
+async function assignReservedSlot(agent, match) {
+  let product;
+  let assignment;
+  try {
+    product = await claimNextProduct(match);
+    if (product) {
+      assignment = await Assignment.create({
+        agentId: agent._id,
+        productId: product.id,
+        assignedOn: new Date(),
+        completed: false,
+        leaseExpiresAt: newLeaseExpiry()
+      });
+    }
+  } catch (error) {
+    // Roll back the claim and the reservation so nothing is left dangling
+    if (product) {
+      await releaseProducts({ _id: product._id });
+    }
+    await releaseAgentCapacity({ [agent._id]: 1 });
+    throw error;
+  }
+  if (!product) {
+    await releaseAgentCapacity({ [agent._id]: 1 });
+    return null;
+  }
+  return { product, assignment };
+}
+
+// Claims up to `reserved` products for an agent whose capacity is already
+// reserved and opens their assignments. Slots left unfilled are given
+// back; on error the claims and the whole reservation are rolled back.
+// Returns { products, assignments }.
+async function assignReservedSlots(agent, reserved, match) {
+  let products = [];
+  let assignments = [];
+  try {
+    products = await claimProducts(reserved, match);
+    if (products.length > 0) {
+      const assignedOn = new Date();
+      const leaseExpiresAt = newLeaseExpiry();
+      assignments = await Assignment.insertMany(products.map(p => ({
+        agentId: agent._id,
+        productId: p.id,
+        assignedOn,
+        completed: false,
+        leaseExpiresAt
+      })));
+    }
+  } catch (error) {
+    // Roll back the claims and the reservation so nothing is left dangling
+    if (products.length > 0) {
+      await releaseProducts({ _id: { $in: products.map(p => p._id) } });
+    }
+    await releaseAgentCapacity({ [agent._id]: reserved });
+    throw error;
+  }
+  // Give back the slots we couldn't fill
+  await releaseAgentCapacity({ [agent._id]: reserved - assignments.length });
+  return { products, assignments };
+}
+
+function newLeaseExpiry() {
+  return new Date(Date.now() + LEASE_TTL_MINUTES * 60000);
+}
+
+// Open assignments from before leases existed would never expire; they
+// get a fresh lease, so their agents have a full TTL to heartbeat.
+// Only assignments without a lease are touched, so re-running is harmless.
+async function migrateAssignmentLeases() {
+  const result = await Assignment.updateMany(
+    { completed: false, unassignedTime: { $exists: false }, leaseExpiresAt: null },
+    { $set: { leaseExpiresAt: newLeaseExpiry() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Gave ${result.modifiedCount} open assignments a lease`);
+  }
+}
+
+// Unassigns open assignments whose lease has run out. Each assignment is
+// closed with a conditional update, so overlapping sweeps (e.g. from
+// several processes) never release the same assignment twice.
+async function sweepExpiredLeases() {
+  const now = new Date();
+  const expired = await Assignment.find(
+    {
+      completed: false,
+      unassignedTime: { $exists: false },
+      leaseExpiresAt: { $lt: now }
+    },
+    { _id: 1 }
+  ).limit(500).lean();
+  const reclaimed = [];
+  const expiredState = { unassignedTime: now, unassignedBy: LEASE_EXPIRED_MARKER, wasUnassigned: true };
+  for (const { _id } of expired) {
+    // Returns the assignment as it was, for the audit entry
+    const assignment = await Assignment.findOneAndUpdate(
+      {
+        _id,
+        completed: false,
+        unassignedTime: { $exists: false },
+        leaseExpiresAt: { $lt: now }
+      },
+      { $set: expiredState }
+    ).lean();
+    if (assignment) reclaimed.push(assignment);
+  }
+  if (reclaimed.length > 0) {
+    const productsBefore = await readAuditedProducts(reclaimed.map(a => a.productId));
+    await releaseProducts({ id: { $in: reclaimed.map(a => a.productId) } });
+    await releaseAgentCapacity(countByAgent(reclaimed));
+    cache.invalidate('dashboard-data');
+    eventHub.publish('unassign', {
+      reason: LEASE_EXPIRED_MARKER,
+      productIds: reclaimed.map(a => a.productId)
+    }, Object.keys(countByAgent(reclaimed)));
+    await recordAudit({ username: LEASE_EXPIRED_MARKER }, 'unassign.lease-expired', {
+      agentIds: Object.keys(countByAgent(reclaimed)),
+      productIds: reclaimed.map(a => a.productId),
+      assignmentIds: reclaimed.map(a => a._id),
+      before: auditSnapshot({ assignments: reclaimed, products: productsBefore }),
+      after: auditSnapshot({
+        assignments: reclaimed.map(a => ({ ...a, ...expiredState })),
+        products: await readAuditedProducts(reclaimed.map(a => a.productId))
+      })
+    });
+    console.log(`Lease sweeper reclaimed ${reclaimed.length} expired assignments`);
+  }
+  return reclaimed.length;
+}
+
+// Finds products marked assigned that have no open assignment at all and
+// none closed within ORPHAN_GRACE_MINUTES, e.g. because a transfer closed
+// the old assignment but died before opening the new one. Nothing else
+// would ever release them. They become completed if their latest
+// assignment was completed, otherwise they are released as on unassign.
+// Transfers, claims and undos all touch statusChangedAt or open or close
+// an assignment within the grace period, so work in progress is never
+// picked up.
+async function reclaimOrphanedProducts() {
+  const cutoff = new Date(Date.now() - ORPHAN_GRACE_MINUTES * 60000);
+  const orphans = await Product.aggregate([
+    { $match: { status: 'assigned', statusChangedAt: { $lt: cutoff } } },
+    {
+      $lookup: {
+        from: Assignment.collection.name,
+        let: { productId: '$id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$productId', '$$productId'] },
+              $or: [
+                { completed: false, unassignedTime: { $exists: false } },
+                { completedOn: { $gte: cutoff } },
+                { unassignedTime: { $gte: cutoff } }
+              ]
+            }
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'live'
+      }
+    },
+    { $match: { live: { $size: 0 } } },
+    {
+      $lookup: {
+        from: Assignment.collection.name,
+        let: { productId: '$id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$productId', '$$productId'] } } },
+          { $sort: { assignedOn: -1, _id: -1 } },
+          { $limit: 1 },
+          { $project: { completed: 1 } }
+        ],
+        as: 'latest'
+      }
+    },
+    { $limit: 500 },
+    { $project: { ...AUDITED_PRODUCT_PROJECTION, completed: { $arrayElemAt: ['$latest.completed', 0] } } }
+  ]);
+  if (orphans.length === 0) return 0;
+  const stale = { status: 'assigned', statusChangedAt: { $lt: cutoff } };
+  const completedIds = orphans.filter(p => p.completed).map(p => p.id);
+  const releasedIds = orphans.filter(p => !p.completed).map(p => p.id);
+  if (completedIds.length > 0) {
+    await Product.updateMany(
+      { ...stale, id: { $in: completedIds } },
+      { $set: { status: 'completed', statusChangedAt: new Date(), avoidAgentIds: [] }, $unset: { escalatedAt: '' } }
+    );
+  }
+  if (releasedIds.length > 0) {
+    await releaseProducts({ ...stale, id: { $in: releasedIds } });
+  }
+  cache.invalidate('dashboard-data');
+  eventHub.publish('unassign', { reason: ORPHAN_RECLAIM_MARKER, productIds: releasedIds });
+  await recordAudit({ username: ORPHAN_RECLAIM_MARKER }, 'product.orphan-reclaim', {
+    productIds: orphans.map(p => p.id),
+    before: auditSnapshot({ products: orphans }),
+    after: auditSnapshot({ products: await readAuditedProducts(orphans.map(p => p.id)) }),
+    details: { completed: completedIds, released: releasedIds }
+  });
+  console.warn(`Reclaimed ${orphans.length} products left assigned without an open assignment`);
+  return orphans.length;
+}
+
+function startLeaseSweeper() {
+  setInterval(() => {
+    sweepExpiredLeases()
+      .then(reclaimOrphanedProducts)
+      .catch(error => console.error('Lease sweeper error:', error));
+  }, LEASE_SWEEP_INTERVAL_MS);
+  console.log(`Lease sweeper running every ${LEASE_SWEEP_INTERVAL_MS / 1000}s (TTL ${LEASE_TTL_MINUTES} min)`);
+}
+
+// ------------------------------
+// Auto-Dispatcher
+// When enabled, tops up every available, on-shift agent to targetRatio of
+// their capacity from the regular queue. Each pass plans how many products
+// every agent gets, then fills each agent with one batch claim through the
+// same reservation and claim helpers as /api/assign-batch. Only the
+// process holding the leader lease in DispatchSettings runs passes; the
+// outcome of the last pass is stored there for GET /api/dispatcher.
+const DISPATCH_LEASE_MS = DISPATCH_INTERVAL_MS * 3;
+
+async function getDispatchSettings() {
+  return DispatchSettings.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true, lean: true }
+  );
+}
+
+// Validates a partial dispatcher settings update; returns { update, errors }
+function validateDispatchUpdate(body) {
+  const update = {};
+  const errors = [];
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    } else {
+      update.enabled = body.enabled;
+    }
+  }
+  if (body.strategy !== undefined) {
+    if (!['least-loaded', 'round-robin'].includes(body.strategy)) {
+      errors.push('strategy must be least-loaded or round-robin');
+    } else {
+      update.strategy = body.strategy;
+    }
+  }
+  if (body.targetRatio !== undefined) {
+    if (typeof body.targetRatio !== 'number' || body.targetRatio <= 0 || body.targetRatio > 1) {
+      errors.push('targetRatio must be a number between 0 (exclusive) and 1');
+    } else {
+      update.targetRatio = body.targetRatio;
+    }
+  }
+  return { update, errors };
+}
+
+// Agents the dispatcher may fill, each with how many more tasks it wants
+async function dispatchCandidates(settings, now = new Date()) {
+  const agents = await Agent.find({ active: { $ne: false }, status: 'available' }).lean();
+  return agents
+    .filter(agent => isOnShift(agent, now) !== false)
+    .map(agent => ({
+      agent,
+      load: agent.activeCount || 0,
+      // Small agents still get at least one task
+      target: Math.min(agent.capacity, Math.max(1, Math.floor(agent.capacity * settings.targetRatio)))
+    }))
+    .filter(c => c.load < c.target);
+}
+
+// Orders agents for one round-robin pass, starting after lastAgentId
+function roundRobinOrder(candidates, lastAgentId) {
+  const sorted = [...candidates].sort((a, b) => String(a.agent._id).localeCompare(String(b.agent._id)));
+  const start = lastAgentId ? sorted.findIndex(c => String(c.agent._id) > String(lastAgentId)) : 0;
+  return start <= 0 ? sorted : [...sorted.slice(start), ...sorted.slice(0, start)];
+}
+
+// Picks the next agent to receive a product, or null when all are full
+function nextDispatchCandidate(candidates, strategy) {
+  const open = candidates.filter(c => c.load < c.target);
+  if (open.length === 0) return null;
+  if (strategy === 'round-robin') return open[0];
+  return open.reduce((best, c) => (c.load / c.target < best.load / best.target ? c : best));
+}
+
+// Hands out up to DISPATCH_BATCH_LIMIT products on paper, one at a time
+// by the strategy; returns the agents that get some, in hand-out order
+// of their last product, each with a count
+function planDispatch(candidates, strategy) {
+  const planned = new Map();
+  for (let n = 0; n < DISPATCH_BATCH_LIMIT; n++) {
+    const candidate = nextDispatchCandidate(candidates, strategy);
+    if (!candidate) break;
+    candidate.load++;
+    const count = (planned.get(candidate) || 0) + 1;
+    planned.delete(candidate);
+    planned.set(candidate, count);
+    // Round-robin: move the agent to the back of the line
+    if (strategy === 'round-robin') {
+      candidates = [...candidates.filter(c => c !== candidate), candidate];
+    }
+  }
+  return [...planned].map(([candidate, count]) => ({ agent: candidate.agent, count }));
+}
+
+// Takes or renews the dispatcher lease; false when another process holds it
+async function acquireDispatchLease() {
+  const now = new Date();
+  const settings = await DispatchSettings.findOneAndUpdate(
+    {
+      key: 'default',
+      $or: [
+        { leaderId: WORKER_ID },
+        { leaderLeaseExpiresAt: { $exists: false } },
+        { leaderLeaseExpiresAt: { $lt: now } }
+      ]
+    },
+    { $set: { leaderId: WORKER_ID, leaderLeaseExpiresAt: new Date(now.getTime() + DISPATCH_LEASE_MS) } },
+    { projection: { _id: 1 } }
+  ).lean();
+  return Boolean(settings);
+}
+
+// One dispatcher pass; returns the number of products handed out
+async function dispatchOnce(settings) {
+  let candidates = await dispatchCandidates(settings);
+  if (settings.strategy === 'round-robin') candidates = roundRobinOrder(candidates, settings.lastAgentId);
+  const policy = await getAssignmentPolicy();
+  const byAgent = new Map();
+  const claimedProducts = [];
+  let lastAgentId = settings.lastAgentId;
+  for (const { agent, count } of planDispatch(candidates, settings.strategy)) {
+    const { agent: current, reserved } = await reserveAgentCapacityUpTo(agent._id, count);
+    // Full or gone offline since the plan was made: skip this pass
+    if (!current || reserved === 0) continue;
+    const { products, assignments } = await assignReservedSlots(current, reserved, buildAgentMatch(current, policy));
+    if (assignments.length === 0) continue;
+    claimedProducts.push(...products);
+    lastAgentId = agent._id;
+    byAgent.set(String(agent._id), assignments);
+  }
+  if (byAgent.size === 0) return 0;
+
+  if (settings.strategy === 'round-robin') {
+    await DispatchSettings.updateOne({ key: 'default' }, { $set: { lastAgentId } });
+  }
+  cache.invalidate('dashboard-data');
+  const assignments = [];
+  for (const [agentId, agentAssignments] of byAgent) {
+    eventHub.publish('assign', {
+      agentId,
+      productIds: agentAssignments.map(a => a.productId),
+      dispatched: true
+    }, [agentId]);
+    assignments.push(...agentAssignments);
+  }
+  await recordAudit({ username: DISPATCHER_MARKER }, 'assign.dispatch', {
+    agentIds: [...byAgent.keys()],
+    productIds: assignments.map(a => a.productId),
+    assignmentIds: assignments.map(a => a._id),
+    before: auditSnapshot({ products: claimedProducts }),
+    after: auditSnapshot({ assignments, products: await readAuditedProducts(assignments.map(a => a.productId)) }),
+    details: { strategy: settings.strategy, targetRatio: settings.targetRatio }
+  });
+  console.log(`Dispatcher assigned ${assignments.length} products to ${byAgent.size} agents`);
+  return assignments.length;
+}
+
+function startDispatcher() {
+  let busy = false;
+  const run = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const settings = await getDispatchSettings();
+      if (!settings.enabled || !(await acquireDispatchLease())) return;
+      let outcome;
+      try {
+        outcome = { lastDispatched: await dispatchOnce(settings), lastError: null };
+      } catch (error) {
+        console.error('Dispatcher error:', error);
+        outcome = { lastDispatched: 0, lastError: error.message };
+      }
+      await DispatchSettings.updateOne({ key: 'default' }, { $set: { ...outcome, lastRunAt: new Date() } });
+    } catch (error) {
+      console.error('Dispatcher error:', error);
+    } finally {
+      busy = false;
+    }
+  };
+  setInterval(run, DISPATCH_INTERVAL_MS);
+  console.log(`Dispatcher checking every ${DISPATCH_INTERVAL_MS / 1000}s (enable via /api/dispatcher)`);
+}
+
 // Reads the CSV from OUTPUT_CSV for initial import
 async function readInitialCsv() {
   console.log(`Looking for output CSV at: ${OUTPUT_CSV}`);
@@ -164,14 +1261,28 @@ async function readInitialCsv() {
   });
 }
 
-// Reads agents from Excel roster (using column E)
-async function readRosterExcel() {
+// Splits a roster cell such as "Item-CA-1, Item-US-0" into a list
+function splitListCell(cell) {
+  if (!cell || cell.v === undefined || cell.v === null) return [];
+  return String(cell.v).split(/[,;|]/).map(v => v.trim()).filter(Boolean);
+}
+
+// Optional roster columns holding routing qualifications, matched by header
+const ROSTER_QUALIFICATION_HEADERS = {
+  tenants: ['tenants', 'tenant', 'tenant ids', 'qualified tenants'],
+  priorities: ['priorities', 'priority', 'qualified priorities'],
+  roles: ['roles', 'skills', 'qualified roles']
+};
+
+// Reads agents from Excel roster (names from column E, qualifications
+// from any extra columns whose headers match ROSTER_QUALIFICATION_HEADERS)
+async function readRosterExcel(rosterPath = ROSTER_EXCEL) {
   try {
-    if (!(await fileExists(ROSTER_EXCEL))) {
+    if (!(await fileExists(rosterPath))) {
       console.log('Roster Excel file not found');
       return [];
     }
-    const workbook = xlsx.readFile(ROSTER_EXCEL);
+    const workbook = xlsx.readFile(rosterPath);
     let sheetName = "Agents List";
     if (!workbook.SheetNames.includes(sheetName)) {
       const possibleSheetNames = ["Agents", "AgentsList", "Agents_List", "Agent List", "Agent_List"];
@@ -187,6 +1298,17 @@ async function readRosterExcel() {
     }
     const worksheet = workbook.Sheets[sheetName];
     const range = xlsx.utils.decode_range(worksheet['!ref']);
+    const qualificationColumns = {};
+    for (let col = range.s.c; col <= range.e.c; col++) {
+      const header = worksheet[xlsx.utils.encode_cell({ r: 0, c: col })];
+      if (!header || typeof header.v !== 'string') continue;
+      const text = header.v.trim().toLowerCase();
+      for (const [field, names] of Object.entries(ROSTER_QUALIFICATION_HEADERS)) {
+        if (names.includes(text) && qualificationColumns[field] === undefined) {
+          qualificationColumns[field] = col;
+        }
+      }
+    }
     const agentsList = [];
     for (let row = 1; row <= range.e.r; row++) {
       const cellRef = xlsx.utils.encode_cell({ r: row, c: 4 });
@@ -194,11 +1316,15 @@ async function readRosterExcel() {
       if (cell && cell.v && typeof cell.v === 'string') {
         const name = cell.v.trim();
         if (name !== '' && !['trimmed zoho name', 'name', 'agent name'].includes(name.toLowerCase())) {
-          agentsList.push({
+          const agent = {
             name,
             role: "Item Review",
             capacity: 30,
-          });
+          };
+          for (const [field, col] of Object.entries(qualificationColumns)) {
+            agent[field] = splitListCell(worksheet[xlsx.utils.encode_cell({ r: row, c: col })]);
+          }
+          agentsList.push(agent);
         }
       }
     }
@@ -210,19 +1336,2148 @@ async function readRosterExcel() {
   }
 }
 
-// ------------------------------
-// Load Data into MongoDB on Startup
-async function loadData() {
-  await ensureDataDir();
+// Reads any CSV file into an array of row objects (header names trimmed)
+function readCsvFile(filePath) {
+  const rows = [];
+  return new Promise((resolve, reject) => {
+    createReadStream(filePath)
+      .pipe(csvParser({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
 
-  // Create database indexes for better performance
-  await createIndexes();
+// Reads the first sheet of a workbook into row objects shaped like
+// readCsvFile's: trimmed headers, string values, dates as "YYYY-MM-DD HH:MM:SS"
+function readXlsxFile(filePath) {
+  const workbook = xlsx.readFile(filePath, { cellDates: true });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = xlsx.utils.sheet_to_json(worksheet, { defval: '', raw: true });
+  const pad = n => String(n).padStart(2, '0');
+  return rows.map(row => {
+    const out = {};
+    for (const [key, value] of Object.entries(row)) {
+      // SheetJS builds dates in local time, so read the local fields back
+      out[key.trim()] = value instanceof Date
+        ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+          `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`
+        : String(value);
+    }
+    return out;
+  });
+}
 
-  // Agents: Import from Excel if none exist.
-  const agentCount = await Agent.countDocuments();
-  if (agentCount === 0) {
-    console.log('No agents found in MongoDB, importing from Excel roster...');
-    const excelAgents = await readRosterExcel();
+// Reads uploaded files (CSV or xlsx, by extension) into [{ fileName, rows }]
+async function readUploadedFiles(files) {
+  const sources = [];
+  for (const { filePath, fileName } of files) {
+    const isWorkbook = /\.xlsx?$/i.test(fileName || filePath);
+    const rows = isWorkbook ? readXlsxFile(filePath) : await readCsvFile(filePath);
+    sources.push({ fileName, rows });
+  }
+  return sources;
+}
+
+// Multer files -> the { filePath, fileName } list stored on upload jobs
+function uploadedFileList(req) {
+  return (req.files || []).map(f => ({ filePath: f.path, fileName: f.originalname }));
+}
+
+async function removeUploadedFiles(files) {
+  await Promise.all(files.map(f => fs.unlink(f.filePath).catch(() => {})));
+}
+
+// Header fallbacks (the same ones data/CONSOL.PY used), matched
+// case-insensitively, in order of preference
+const OUTPUT_COLUMNS = {
+  productId: ['abstract_product_id', 'item.abstract_product_id', 'item_abstract_product_id', 'product_id'],
+  priority: ['rule_priority', 'rule.priority', 'priority'],
+  tenantId: ['tenant_id', 'TenantID', 'Tenant ID'],
+  createdOn: ['oldest_created_on', 'sys_created_on', 'created_on', 'CreatedOn'],
+  count: ['count']
+};
+const RAW_EXPORT_COLUMNS = {
+  productId: ['item.abstract_product_id'],
+  number: ['number'],
+  priority: ['rule.priority', 'priority'],
+  tenantId: ['tenant_id', 'TenantID', 'Tenant ID'],
+  createdOn: ['sys_created_on', 'created_on', 'CreatedOn']
+};
+
+// Maps each logical field to the matching column of a file (or null)
+function resolveColumns(rows, candidatesByField) {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const resolved = {};
+  for (const [field, candidates] of Object.entries(candidatesByField)) {
+    resolved[field] = pickColumn(columns, candidates);
+  }
+  return resolved;
+}
+
+// Validates rows of the grouped output.csv format from one or more files
+// ([{ fileName, rows }]) and maps the good ones to Product records. Line
+// numbers assume one CSV line per row (line 1 is the header). Rows missing
+// an ID, with a bad count or an unparseable date are rejected; for
+// duplicate IDs (within or across files) the first row wins. Empty files
+// and files without an ID column are reported in fileErrors; callers must
+// not reconcile when there are any, since every product only in that file
+// would look removed.
+function validateOutputFiles(sources, knownPriorities = [], sourceTimeZone = CSV_SOURCE_TIMEZONE) {
+  const products = [];
+  const fileErrors = [];
+  const badRows = [];
+  const dateParseFailures = [];
+  const duplicates = [];
+  const unknownPriorities = [];
+  const warnings = [];
+  const firstSeenById = new Map();
+  let totalRows = 0;
+
+  for (const { fileName: file, rows } of sources) {
+    totalRows += rows.length;
+    const columns = resolveColumns(rows, OUTPUT_COLUMNS);
+    if (rows.length === 0) {
+      fileErrors.push({ file, error: 'File has no rows' });
+      continue;
+    }
+    if (!columns.productId) {
+      fileErrors.push({ file, error: 'No abstract_product_id column found' });
+      continue;
+    }
+    const value = (row, field) => (columns[field] ? String(row[columns[field]] ?? '').trim() : '');
+
+    rows.forEach((row, index) => {
+      const line = index + 2;
+      const reasons = [];
+      const productId = value(row, 'productId');
+      if (!productId) reasons.push('missing abstract_product_id');
+
+      const rawCount = value(row, 'count');
+      let count = 1;
+      if (rawCount === '') {
+        warnings.push({ file, line, productId, reason: 'count is empty; defaulting to 1' });
+      } else if (!/^\d+$/.test(rawCount) || Number(rawCount) < 1) {
+        reasons.push(`invalid count "${rawCount}"`);
+      } else {
+        count = Number(rawCount);
+      }
+
+      const rawDate = value(row, 'createdOn');
+      let createdOn = null;
+      if (rawDate === '') {
+        warnings.push({ file, line, productId, reason: 'created date is empty' });
+      } else {
+        const date = parseExportDate(rawDate);
+        if (date) {
+          createdOn = fromZonedWallClock(date, sourceTimeZone);
+        } else {
+          reasons.push(`unparseable created date "${rawDate}"`);
+          dateParseFailures.push({ file, line, productId, value: rawDate });
+        }
+      }
+
+      const priority = value(row, 'priority') || null;
+      if (priority && knownPriorities.length > 0 && !knownPriorities.includes(priority)) {
+        unknownPriorities.push({ file, line, productId, priority });
+      }
+
+      if (reasons.length > 0) {
+        badRows.push({ file, line, productId: productId || null, reasons });
+        return;
+      }
+      const firstSeen = firstSeenById.get(productId);
+      if (firstSeen) {
+        duplicates.push({ file, line, productId, firstFile: firstSeen.file, firstLine: firstSeen.line });
+        return;
+      }
+      firstSeenById.set(productId, { file, line });
+      products.push({
+        id: productId,
+        name: productId,
+        priority,
+        tenantId: value(row, 'tenantId') || null,
+        createdOn,
+        count
+      });
+    });
+  }
+
+  return {
+    products,
+    report: {
+      files: sources.length,
+      totalRows,
+      validRows: products.length,
+      fileErrors,
+      badRows,
+      dateParseFailures,
+      duplicates,
+      unknownPriorities,
+      warnings
+    }
+  };
+}
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+const RECONCILED_FIELDS = ['name', 'priority', 'tenantId', 'createdOn', 'count', 'taskNumbers'];
+const RECONCILED_PROJECTION = Object.fromEntries(RECONCILED_FIELDS.map(f => [f, 1]));
+
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) return sameList(a || [], b || []);
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return (a ?? null) === (b ?? null);
+}
+
+// Works out how an uploaded export changes the product collection without
+// writing anything. The export is treated as a snapshot:
+// - new IDs are inserted pending,
+// - existing IDs get their metadata refreshed but keep their status, so
+//   products in work stay assigned; resolved-upstream products that
+//   reappear are reopened, and so are completed ones whose reconciled
+//   fields changed (new upstream work under the same ID),
+// - IDs missing from the export are stamped resolvedUpstreamAt and, where
+//   the transition is allowed, moved to resolved-upstream (open
+//   assignments are left alone and release to resolved-upstream later).
+//   Completed products normally drop out of the next export, so they are
+//   left alone; assigned ones don't count as removals either.
+//   IDs in keepIds (seen on rejected rows) are never treated as missing,
+//   and removals beyond MAX_REMOVAL_RATIO are withheld unless fullSnapshot.
+// An export with no products is refused. Existing products are read in
+// chunks, so the collection is never loaded whole. Unchanged products get
+// no write at all.
+// Returns { summary, ops, productIds, rankIds } where ops are
+// Product.bulkWrite operations, productIds the distinct IDs in the export
+// and rankIds those new or changed, whose rank fields need recomputing.
+async function planProductReconciliation(products, { keepIds = [], fullSnapshot = false } = {}) {
+  if (products.length === 0) {
+    throw badRequest('The upload has no valid product rows; nothing was reconciled');
+  }
+  const CHUNK_SIZE = 1000;
+  const summary = {
+    new: 0, updated: 0, reopened: 0, unchanged: 0,
+    removed: 0, removalsWithheld: 0, rejectedKept: 0, inProgressPreserved: 0
+  };
+  const ops = [];
+  const rankIds = [];
+  const now = new Date();
+
+  // Duplicate IDs within the export: the first row wins
+  const incomingIds = new Set();
+  const incoming = products.filter(p => !incomingIds.has(p.id) && incomingIds.add(p.id));
+
+  for (let i = 0; i < incoming.length; i += CHUNK_SIZE) {
+    const chunk = incoming.slice(i, i + CHUNK_SIZE);
+    const existing = await Product.find(
+      { id: { $in: chunk.map(p => p.id) } },
+      { id: 1, status: 1, resolvedUpstreamAt: 1, escalatedAt: 1, ...RECONCILED_PROJECTION }
+    ).lean();
+    const existingById = new Map(existing.map(p => [p.id, p]));
+    for (const product of chunk) {
+      const fields = Object.fromEntries(
+        Object.entries(product).filter(([key, value]) => RECONCILED_FIELDS.includes(key) && value !== undefined)
+      );
+      const current = existingById.get(product.id);
+      if (!current) {
+        summary.new++;
+        rankIds.push(product.id);
+        ops.push({
+          updateOne: {
+            filter: { id: product.id },
+            update: {
+              $set: fields,
+              $setOnInsert: { id: product.id, status: 'pending', statusChangedAt: now }
+            },
+            upsert: true
+          }
+        });
+        continue;
+      }
+      if (current.status === 'assigned') summary.inProgressPreserved++;
+      const fieldsChanged = Object.entries(fields).some(([key, value]) => !sameValue(value, current[key]));
+      const changed = fieldsChanged || current.resolvedUpstreamAt;
+      if (!changed) {
+        summary.unchanged++;
+        continue;
+      }
+      summary.updated++;
+      if (fieldsChanged) rankIds.push(product.id);
+      ops.push({
+        updateOne: {
+          filter: { id: product.id },
+          update: { $set: fields, $unset: { resolvedUpstreamAt: '' } }
+        }
+      });
+      if (current.status === 'resolved-upstream') {
+        ops.push({
+          updateOne: {
+            filter: { id: product.id, status: 'resolved-upstream' },
+            update: { $set: { status: current.escalatedAt ? 'escalated' : 'pending', statusChangedAt: now } }
+          }
+        });
+      }
+      if (current.status === 'completed' && fieldsChanged) {
+        // New work: back to the pool for anyone, including earlier returners
+        summary.reopened++;
+        ops.push({
+          updateOne: {
+            filter: { id: product.id, status: 'completed' },
+            update: { $set: { status: 'pending', statusChangedAt: now, avoidAgentIds: [] } }
+          }
+        });
+      }
+    }
+  }
+
+  // Live products (not already resolved upstream or completed) missing
+  // from the export
+  const kept = new Set(keepIds);
+  const missing = [];
+  let live = 0;
+  const cursor = Product.find(
+    { resolvedUpstreamAt: { $exists: false }, status: { $ne: 'completed' } },
+    { id: 1, status: 1 }
+  ).lean().cursor();
+  for await (const current of cursor) {
+    if (current.status !== 'assigned') live++;
+    if (incomingIds.has(current.id)) continue;
+    if (kept.has(current.id)) {
+      summary.rejectedKept++;
+      continue;
+    }
+    missing.push(current);
+  }
+  // Assigned ones are only stamped, so they aren't removals
+  const removals = missing.filter(p => p.status !== 'assigned').length;
+  if (removals > 0 && !fullSnapshot && removals > live * MAX_REMOVAL_RATIO) {
+    summary.removalsWithheld = removals;
+    return { summary, ops, productIds: [...incomingIds], rankIds };
+  }
+  summary.removed = removals;
+  summary.inProgressPreserved += missing.length - removals;
+  const removable = PRODUCT_STATUSES.filter(status =>
+    status !== 'assigned' && PRODUCT_TRANSITIONS[status].includes('resolved-upstream'));
+  for (let i = 0; i < missing.length; i += CHUNK_SIZE) {
+    const ids = missing.slice(i, i + CHUNK_SIZE).map(p => p.id);
+    ops.push({
+      updateMany: {
+        filter: { id: { $in: ids }, resolvedUpstreamAt: { $exists: false } },
+        update: { $set: { resolvedUpstreamAt: now } }
+      }
+    });
+    ops.push({
+      updateMany: {
+        filter: { id: { $in: ids }, status: { $in: removable } },
+        update: { $set: { status: 'resolved-upstream', statusChangedAt: now } }
+      }
+    });
+  }
+  return { summary, ops, productIds: [...incomingIds], rankIds };
+}
+
+// Applies planned reconciliation ops in batches using bulkWrite;
+// onProgress(processed, total) is called after each batch
+async function applyProductReconciliation({ ops }, onProgress) {
+  // Process in batches for large files
+  const BATCH_SIZE = 500;
+  let processed = 0;
+
+  while (processed < ops.length) {
+    const batch = ops.slice(processed, processed + BATCH_SIZE);
+    processed += batch.length;
+    await Product.bulkWrite(batch, { ordered: false });
+    console.log(`BulkWrite processed ${batch.length} product updates (batch ${Math.ceil(processed / BATCH_SIZE)})`);
+    if (onProgress) await onProgress(processed, ops.length);
+  }
+  return processed;
+}
+
+// Records which products an upload included, in UploadBatch chunks
+async function recordUploadBatch(batch, productIds) {
+  const CHUNK_SIZE = 5000;
+  const docs = [];
+  for (let i = 0; i < productIds.length; i += CHUNK_SIZE) {
+    docs.push({ ...batch, productIds: productIds.slice(i, i + CHUNK_SIZE) });
+  }
+  if (docs.length > 0) await UploadBatch.insertMany(docs);
+}
+
+// Reconciles an uploaded export against the current products and returns
+// the diff summary. options are as for planProductReconciliation, plus
+// batch ({ jobId, source, fileName, at }) to record the upload under.
+async function reconcileProducts(products, onProgress, { batch, ...options } = {}) {
+  const plan = await planProductReconciliation(products, options);
+  await applyProductReconciliation(plan, onProgress);
+  await refreshProductRanksById(plan.rankIds);
+  if (batch) await recordUploadBatch(batch, plan.productIds);
+  return plan.summary;
+}
+
+// Parses the date formats seen in task exports ("2025-03-30 00:20:11",
+// ISO with a "T", or Excel-style "3/30/2025 12:20:11 AM") as naive
+// wall-clock times. Returns a Date in UTC fields, or null if unparseable.
+function parseExportDate(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  let year, month, day, hour = 0, minute = 0, second = 0;
+  if (m) {
+    [year, month, day] = [m[1], m[2], m[3]].map(Number);
+    if (m[4] !== undefined) [hour, minute, second] = [m[4], m[5], m[6] || 0].map(Number);
+  } else {
+    m = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?([AaPp][Mm]))?)?$/);
+    if (!m) return null;
+    [month, day, year] = [m[1], m[2], m[3]].map(Number);
+    if (m[4] !== undefined) {
+      [hour, minute, second] = [m[4], m[5], m[6] || 0].map(Number);
+      const meridiem = m[7] ? m[7].toUpperCase() : null;
+      if (meridiem === 'PM' && hour < 12) hour += 12;
+      if (meridiem === 'AM' && hour === 12) hour = 0;
+    }
+  }
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  // Reject rollovers such as 2025-02-31
+  if (isNaN(date) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day ||
+      hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return date;
+}
+
+function formatExportDate(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// ------------------------------
+// Time Zone Helpers
+// Wall-clock times are passed around as Dates whose UTC fields hold the
+// local time (what parseExportDate returns).
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const zoneFormatters = new Map();
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+// The wall-clock time of an instant in timeZone
+function toZonedWallClock(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of zoneFormatter(timeZone).formatToParts(date)) parts[type] = Number(value);
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second,
+    date.getUTCMilliseconds()));
+}
+
+// The instant at which timeZone's clocks show wallClock
+function fromZonedWallClock(wallClock, timeZone) {
+  const offset = toZonedWallClock(wallClock, timeZone) - wallClock;
+  const guess = new Date(wallClock.getTime() - offset);
+  // Across a DST change the offset at the guess can differ; use that one
+  const actual = toZonedWallClock(guess, timeZone) - guess;
+  return actual === offset ? guess : new Date(wallClock.getTime() - actual);
+}
+
+// Parses a CSV timestamp written in the source time zone; null if unparseable
+function parseSourceDate(value, sourceTimeZone = CSV_SOURCE_TIMEZONE) {
+  const wallClock = parseExportDate(value);
+  return wallClock ? fromZonedWallClock(wallClock, sourceTimeZone) : null;
+}
+
+// "2025-03-30 00:20:11" in timeZone, or with iso "2025-03-30T00:20:11-04:00"
+function formatInTimeZone(date, timeZone, { iso = false } = {}) {
+  const wallClock = toZonedWallClock(date, timeZone);
+  const text = formatExportDate(wallClock);
+  if (!iso) return text;
+  const offsetMinutes = Math.round((wallClock - date) / 60000);
+  const pad = n => String(n).padStart(2, '0');
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  return `${text.replace(' ', 'T')}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Copies a response body with every Date rendered in timeZone
+function renderDates(value, timeZone) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : formatInTimeZone(value, timeZone, { iso: true });
+  }
+  if (Array.isArray(value)) return value.map(v => renderDates(v, timeZone));
+  if (value && typeof value === 'object') {
+    if (value instanceof mongoose.Document) return renderDates(value.toJSON(), timeZone);
+    // ObjectIds and other class instances serialize themselves
+    if (Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) return value;
+    const out = {};
+    for (const [key, v] of Object.entries(value)) out[key] = renderDates(v, timeZone);
+    return out;
+  }
+  return value;
+}
+
+function applyRequestTimeZone(req, res, next) {
+  const timeZone = String(req.query.tz || req.get('X-Timezone') || DISPLAY_TIMEZONE);
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: `Unknown time zone: ${timeZone}` });
+  }
+  req.timeZone = timeZone;
+  const json = res.json.bind(res);
+  res.json = body => json(renderDates(body, timeZone));
+  next();
+}
+
+// Source time zone for an upload: the sourceTimezone form field, else
+// CSV_SOURCE_TIMEZONE. Throws a 400 for unknown zones.
+function uploadSourceTimeZone(req) {
+  const timeZone = (req.body && req.body.sourceTimezone) ? String(req.body.sourceTimezone) : CSV_SOURCE_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) throw badRequest(`Unknown time zone: ${timeZone}`);
+  return timeZone;
+}
+
+// fullSnapshot form field: the upload is the complete export, so removals
+// beyond MAX_REMOVAL_RATIO may be applied
+function uploadFullSnapshot(req) {
+  return String((req.body && req.body.fullSnapshot) || '').toLowerCase() === 'true';
+}
+
+// ------------------------------
+// Date Migration
+// Timestamps used to be stored as "YYYY-MM-DD HH:MM:SS" strings. Product
+// dates came straight from the CSVs (source time zone); assignment times
+// were written in UTC. Only string values are touched, so re-running is
+// harmless. Unparseable strings become null (a closed assignment stays
+// closed, since unassignedTime still exists).
+const DATE_MIGRATIONS = [
+  { Model: Product, fields: ['createdOn'], timeZone: CSV_SOURCE_TIMEZONE },
+  { Model: Assignment, fields: ['assignedOn', 'completedOn', 'unassignedTime'], timeZone: 'UTC' }
+];
+
+async function migrateDateFields() {
+  const BATCH_SIZE = 500;
+  for (const { Model, fields, timeZone } of DATE_MIGRATIONS) {
+    for (const field of fields) {
+      const cursor = Model.collection.find({ [field]: { $type: 'string' } }, { projection: { [field]: 1 } });
+      let ops = [];
+      let converted = 0;
+      let cleared = 0;
+      for await (const doc of cursor) {
+        const date = parseSourceDate(doc[field], timeZone);
+        if (date) converted++;
+        else cleared++;
+        ops.push({
+          updateOne: {
+            filter: { _id: doc._id, [field]: doc[field] },
+            update: { $set: { [field]: date } }
+          }
+        });
+        if (ops.length >= BATCH_SIZE) {
+          await Model.collection.bulkWrite(ops, { ordered: false });
+          ops = [];
+        }
+      }
+      if (ops.length > 0) await Model.collection.bulkWrite(ops, { ordered: false });
+      if (converted + cleared > 0) {
+        console.log(`Migrated ${Model.modelName}.${field} to dates: ${converted} converted, ${cleared} unparseable`);
+      }
+    }
+  }
+}
+
+// ------------------------------
+// Product Status Migration
+// Products used to carry assigned/escalated/resolvedUpstream booleans and
+// went back to assigned: false when completed. Products without a status
+// get one derived from those flags (an open assignment wins, then
+// resolved upstream, then escalated); unassigned products whose latest
+// assignment was completed become completed. The old flags are then
+// removed. Only products without a status are touched, so re-running is
+// harmless.
+async function migrateProductStatuses() {
+  const BATCH_SIZE = 1000;
+  const products = Product.collection;
+  const unmigrated = { status: { $exists: false } };
+  if (!(await products.countDocuments(unmigrated, { limit: 1 }))) return;
+  const now = new Date();
+  const counts = {};
+  const setStatus = async (filter, status, extra = {}) => {
+    const result = await products.updateMany(
+      { ...unmigrated, ...filter },
+      { $set: { status, statusChangedAt: now, ...extra } }
+    );
+    counts[status] = (counts[status] || 0) + result.modifiedCount;
+  };
+  await setStatus({ assigned: true }, 'assigned');
+  await setStatus({ resolvedUpstream: true, resolvedUpstreamAt: { $exists: true } }, 'resolved-upstream');
+  await setStatus({ resolvedUpstream: true }, 'resolved-upstream', { resolvedUpstreamAt: now });
+  await setStatus({ escalated: true }, 'escalated');
+
+  const completed = await Assignment.aggregate([
+    { $sort: { assignedOn: -1, _id: -1 } },
+    { $group: { _id: '$productId', completed: { $first: '$completed' } } },
+    { $match: { completed: true } }
+  ]).allowDiskUse(true);
+  for (let i = 0; i < completed.length; i += BATCH_SIZE) {
+    await setStatus({ id: { $in: completed.slice(i, i + BATCH_SIZE).map(c => c._id) } }, 'completed');
+  }
+  await setStatus({}, 'pending');
+
+  // escalatedAt / resolvedUpstreamAt now mark an open escalation or
+  // removal, so drop stale ones
+  await products.updateMany(
+    { escalated: false, escalatedAt: { $exists: true } },
+    { $unset: { escalatedAt: '' } }
+  );
+  await products.updateMany(
+    { resolvedUpstream: false, resolvedUpstreamAt: { $exists: true } },
+    { $unset: { resolvedUpstreamAt: '' } }
+  );
+  await products.updateMany({}, { $unset: { assigned: '', escalated: '', resolvedUpstream: '' } });
+  console.log('Migrated product statuses:', Object.entries(counts).map(([k, v]) => `${k} ${v}`).join(', '));
+}
+
+// Returns the first column matching one of the candidate names (ignoring case)
+function pickColumn(columns, candidates) {
+  for (const candidate of candidates) {
+    const match = columns.find(c => c.toLowerCase() === candidate.toLowerCase());
+    if (match) return match;
+  }
+  return null;
+}
+
+// Groups raw ServiceNow task rows (one row per RRTASK) from one or more
+// files ([{ fileName, rows }]) into products, the same way data/CONSOL.PY
+// did: group by abstract product ID, take the first priority and tenant,
+// the oldest created date and the row count, dropping rows whose created
+// date can't be parsed (their IDs are returned as rejectedIds). A task
+// number seen in an earlier file is skipped.
+// Created dates are read as wall-clock times in sourceTimeZone.
+function groupRawTaskFiles(sources, sourceTimeZone = CSV_SOURCE_TIMEZONE) {
+  const taskRows = sources.reduce((sum, source) => sum + source.rows.length, 0);
+  if (taskRows === 0) return { error: 'The uploaded files have no rows' };
+
+  const groups = new Map();
+  const seenTasks = new Set();
+  const rejectedIds = new Set();
+  let droppedRows = 0;
+  let duplicateTasks = 0;
+  for (const { fileName, rows } of sources) {
+    // An unreadable file would make all of its products look removed
+    if (rows.length === 0) return { error: `${fileName}: file has no rows` };
+    const columns = resolveColumns(rows, RAW_EXPORT_COLUMNS);
+    if (!columns.productId) return { error: `${fileName}: column 'item.abstract_product_id' not found in the data` };
+    if (!columns.priority) return { error: `${fileName}: no priority column found` };
+    if (!columns.tenantId) return { error: `${fileName}: no tenant ID column found` };
+    if (!columns.createdOn) return { error: `${fileName}: no created date column found` };
+
+    for (const row of rows) {
+      const productId = String(row[columns.productId] || '').trim();
+      const createdAt = parseExportDate(row[columns.createdOn]);
+      if (!productId || !createdAt) {
+        droppedRows++;
+        if (productId) rejectedIds.add(productId);
+        continue;
+      }
+      const number = columns.number ? String(row[columns.number] || '').trim() : '';
+      if (number) {
+        if (seenTasks.has(number)) {
+          duplicateTasks++;
+          continue;
+        }
+        seenTasks.add(number);
+      }
+      let group = groups.get(productId);
+      if (!group) {
+        group = { id: productId, priority: null, tenantId: null, createdAt, count: 0, taskNumbers: [] };
+        groups.set(productId, group);
+      }
+      if (!group.priority && row[columns.priority]) group.priority = String(row[columns.priority]).trim();
+      if (!group.tenantId && row[columns.tenantId]) group.tenantId = String(row[columns.tenantId]).trim();
+      if (createdAt < group.createdAt) group.createdAt = createdAt;
+      group.count++;
+      if (number) group.taskNumbers.push(number);
+    }
+  }
+
+  const products = [...groups.values()]
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(g => ({
+      id: g.id,
+      name: g.id,
+      priority: g.priority,
+      tenantId: g.tenantId,
+      createdOn: fromZonedWallClock(g.createdAt, sourceTimeZone),
+      count: g.count,
+      taskNumbers: g.taskNumbers
+    }));
+  return { products, taskRows, droppedRows, duplicateTasks, rejectedIds: [...rejectedIds] };
+}
+
+// Validates agent fields from a request body; returns { fields, errors }.
+// When partial is false a name is required.
+function validateAgentFields(body, { partial }) {
+  const fields = {};
+  const errors = [];
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      errors.push('name must be a non-empty string');
+    } else {
+      fields.name = body.name.trim();
+    }
+  }
+  if (body.role !== undefined) {
+    if (typeof body.role !== 'string' || body.role.trim() === '') {
+      errors.push('role must be a non-empty string');
+    } else {
+      fields.role = body.role.trim();
+    }
+  }
+  if (body.capacity !== undefined) {
+    if (!Number.isInteger(body.capacity) || body.capacity < 0) {
+      errors.push('capacity must be a non-negative integer');
+    } else {
+      fields.capacity = body.capacity;
+    }
+  }
+  for (const key of ['tenants', 'priorities', 'roles']) {
+    if (body[key] === undefined) continue;
+    if (!Array.isArray(body[key]) || body[key].some(v => typeof v !== 'string')) {
+      errors.push(`${key} must be an array of strings`);
+    } else {
+      fields[key] = body[key].map(v => v.trim()).filter(Boolean);
+    }
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    } else {
+      fields.active = body.active;
+    }
+  }
+  if (body.schedule !== undefined) {
+    const schedule = body.schedule;
+    if (schedule === null) {
+      fields.schedule = null;
+    } else if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+      errors.push('schedule must be an object or null');
+    } else if (!SHIFTS.some(shift => shift.name === schedule.shift)) {
+      errors.push(`schedule.shift must be one of: ${SHIFTS.map(shift => shift.name).join(', ')}`);
+    } else if (schedule.days !== undefined &&
+        (!Array.isArray(schedule.days) || schedule.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      errors.push('schedule.days must be an array of weekdays 0-6 (0 = Sunday)');
+    } else if (schedule.timeZone !== undefined && !isValidTimeZone(String(schedule.timeZone))) {
+      errors.push(`Unknown time zone: ${schedule.timeZone}`);
+    } else {
+      fields.schedule = {
+        shift: schedule.shift,
+        days: schedule.days ? [...new Set(schedule.days)].sort() : undefined,
+        timeZone: schedule.timeZone ? String(schedule.timeZone) : undefined
+      };
+    }
+  }
+  return { fields, errors };
+}
+
+// Whether an agent's schedule has them on shift at `now` (null when no
+// schedule is set). Shifts that wrap past midnight belong to the day
+// they start on.
+function isOnShift(agent, now = new Date()) {
+  const schedule = agent.schedule;
+  const shift = schedule && SHIFTS.find(s => s.name === schedule.shift);
+  if (!shift) return null;
+  const wallClock = toZonedWallClock(now, schedule.timeZone || DISPLAY_TIMEZONE);
+  const hour = wallClock.getUTCHours();
+  const day = wallClock.getUTCDay();
+  const worksOn = d => !schedule.days || schedule.days.length === 0 || schedule.days.includes(d);
+  if (shift.start < shift.end) return hour >= shift.start && hour < shift.end && worksOn(day);
+  if (hour >= shift.start) return worksOn(day);
+  if (hour < shift.end) return worksOn((day + 6) % 7);
+  return false;
+}
+
+// Live headcount of active agents by status, plus how many are on shift
+// and how many are available with nothing assigned
+function agentHeadcount(agents, now = new Date()) {
+  const headcount = { total: 0, onShift: 0, idle: 0 };
+  for (const status of AGENT_STATUSES) headcount[status] = 0;
+  for (const agent of agents) {
+    if (agent.active === false) continue;
+    const status = agent.status || 'available';
+    headcount.total++;
+    headcount[status]++;
+    if (isOnShift(agent, now)) headcount.onShift++;
+    if (status === 'available' && !agent.activeCount) headcount.idle++;
+  }
+  return headcount;
+}
+
+// Applies a roster (as returned by readRosterExcel) to the Agent
+// collection, matching agents by case-insensitive name
+async function syncRoster(rosterAgents) {
+  const existing = await Agent.find({}).lean();
+  const byName = new Map(existing.map(a => [a.name.trim().toLowerCase(), a]));
+  const rosterNames = new Set();
+  const added = [];
+  const reactivated = [];
+  const updated = [];
+  const ops = [];
+
+  for (const rosterAgent of rosterAgents) {
+    const key = rosterAgent.name.toLowerCase();
+    if (rosterNames.has(key)) continue;
+    rosterNames.add(key);
+    const current = byName.get(key);
+    if (!current) {
+      ops.push({ insertOne: { document: rosterAgent } });
+      added.push(rosterAgent.name);
+      continue;
+    }
+    const set = {};
+    if (current.active === false) {
+      set.active = true;
+      reactivated.push(current.name);
+    }
+    // Only columns present in the roster overwrite qualifications
+    const changedQualifications = ['tenants', 'priorities', 'roles']
+      .filter(key => rosterAgent[key] !== undefined && !sameList(rosterAgent[key], current[key]));
+    for (const key of changedQualifications) set[key] = rosterAgent[key];
+    if (changedQualifications.length > 0) updated.push(current.name);
+    if (Object.keys(set).length > 0) {
+      ops.push({ updateOne: { filter: { _id: current._id }, update: { $set: set } } });
+    }
+  }
+
+  const deactivated = existing
+    .filter(a => a.active !== false && !rosterNames.has(a.name.trim().toLowerCase()))
+    .map(a => {
+      ops.push({ updateOne: { filter: { _id: a._id }, update: { $set: { active: false } } } });
+      return a.name;
+    });
+
+  if (ops.length > 0) {
+    await Agent.bulkWrite(ops);
+  }
+  return { added, reactivated, updated, deactivated };
+}
+
+// ------------------------------
+// Query Helpers (filtering, sorting and cursor pagination for list routes)
+// Errors carrying a status are reported to the client as-is
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// "a,b" or ["a", "b"] -> ['a', 'b']; undefined when absent
+function parseListParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+  return list.length > 0 ? list : undefined;
+}
+
+// Comma-separated product statuses, each checked against PRODUCT_STATUSES
+function parseStatusParam(value, name) {
+  const statuses = parseListParam(value);
+  if (!statuses) return undefined;
+  const unknown = statuses.filter(status => !PRODUCT_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw badRequest(`${name} must be one or more of: ${PRODUCT_STATUSES.join(', ')}`);
+  }
+  return statuses;
+}
+
+function parseBoolParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw badRequest(`${name} must be true or false`);
+}
+
+// Turns a from/to query value into a Date bound. Values with an explicit
+// offset ("...T10:00:00-04:00", "...Z") are taken as-is; others are read
+// as wall-clock times in timeZone. Date-only upper bounds cover the whole day.
+function parseRangeDate(value, name, { endOfDay = false, timeZone = 'UTC' } = {}) {
+  if (value === undefined || value === '') return undefined;
+  const str = String(value).trim();
+  if (/T\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(str)) {
+    const date = new Date(str);
+    if (isNaN(date)) throw badRequest(`${name} is not a valid date`);
+    return date;
+  }
+  const wallClock = parseExportDate(str);
+  if (!wallClock) throw badRequest(`${name} is not a valid date`);
+  const dateOnly = /^\d{4}-\d{1,2}-\d{1,2}$|^\d{1,2}\/\d{1,2}\/\d{4}$/.test(str);
+  if (endOfDay && dateOnly) wallClock.setUTCHours(23, 59, 59, 999);
+  return fromZonedWallClock(wallClock, timeZone);
+}
+
+function addRange(filter, field, from, to) {
+  if (from === undefined && to === undefined) return;
+  filter[field] = {};
+  if (from !== undefined) filter[field].$gte = from;
+  if (to !== undefined) filter[field].$lte = to;
+}
+
+// Product filters: tenant, priority, status, assigned (shorthand for
+// status=assigned or any other status; status wins if both are given),
+// createdFrom/createdTo and agentId (products the agent currently holds)
+async function buildProductFilter(query, timeZone) {
+  const filter = {};
+  const tenants = parseListParam(query.tenant);
+  const priorities = parseListParam(query.priority);
+  const statuses = parseStatusParam(query.status, 'status');
+  const assigned = parseBoolParam(query.assigned, 'assigned');
+  if (tenants) filter.tenantId = { $in: tenants };
+  if (priorities) filter.priority = { $in: priorities };
+  if (statuses) {
+    filter.status = { $in: statuses };
+  } else if (assigned !== undefined) {
+    filter.status = assigned ? 'assigned' : { $ne: 'assigned' };
+  }
+  addRange(filter, 'createdOn',
+    parseRangeDate(query.createdFrom, 'createdFrom', { timeZone }),
+    parseRangeDate(query.createdTo, 'createdTo', { endOfDay: true, timeZone }));
+  if (query.agentId) {
+    if (!mongoose.isValidObjectId(query.agentId)) throw badRequest('Invalid agent ID');
+    const productIds = await Assignment.distinct('productId', {
+      agentId: query.agentId,
+      completed: false,
+      unassignedTime: { $exists: false }
+    });
+    filter.id = { $in: productIds };
+  }
+  return filter;
+}
+
+// Audit log filters: action, actor (username), agentId, productId and
+// from/to on the entry time
+function buildAuditFilter(query, timeZone) {
+  const filter = {};
+  const actions = parseListParam(query.action);
+  const actors = parseListParam(query.actor);
+  const productIds = parseListParam(query.productId);
+  if (actions) filter.action = { $in: actions };
+  if (actors) filter['actor.username'] = { $in: actors.map(a => a.toLowerCase()) };
+  if (productIds) filter.productIds = { $in: productIds };
+  if (query.agentId) {
+    if (!mongoose.isValidObjectId(query.agentId)) throw badRequest('Invalid agent ID');
+    filter.agentIds = query.agentId;
+  }
+  addRange(filter, 'createdAt',
+    parseRangeDate(query.from, 'from', { timeZone }),
+    parseRangeDate(query.to, 'to', { endOfDay: true, timeZone }));
+  return filter;
+}
+
+// Assignment filters: agentId, productId, completed, active (still open),
+// assignedFrom/assignedTo, returnReason, and tenant/priority/productStatus
+// of the assigned product
+async function buildAssignmentFilter(query, timeZone) {
+  const filter = {};
+  if (query.agentId) {
+    if (!mongoose.isValidObjectId(query.agentId)) throw badRequest('Invalid agent ID');
+    filter.agentId = query.agentId;
+  }
+  const completed = parseBoolParam(query.completed, 'completed');
+  const active = parseBoolParam(query.active, 'active');
+  if (completed !== undefined) filter.completed = completed;
+  if (active === true) {
+    filter.completed = false;
+    filter.unassignedTime = { $exists: false };
+  } else if (active === false) {
+    filter.$or = [{ completed: true }, { unassignedTime: { $exists: true } }];
+  }
+  addRange(filter, 'assignedOn',
+    parseRangeDate(query.assignedFrom, 'assignedFrom', { timeZone }),
+    parseRangeDate(query.assignedTo, 'assignedTo', { endOfDay: true, timeZone }));
+  const returnReasons = parseListParam(query.returnReason);
+  if (returnReasons) filter.returnReason = { $in: returnReasons };
+  const productIds = parseListParam(query.productId);
+  const tenants = parseListParam(query.tenant);
+  const priorities = parseListParam(query.priority);
+  const productStatuses = parseStatusParam(query.productStatus, 'productStatus');
+  if (tenants || priorities || productStatuses) {
+    const productFilter = {};
+    if (tenants) productFilter.tenantId = { $in: tenants };
+    if (priorities) productFilter.priority = { $in: priorities };
+    if (productStatuses) productFilter.status = { $in: productStatuses };
+    if (productIds) productFilter.id = { $in: productIds };
+    filter.productId = { $in: await Product.distinct('id', productFilter) };
+  } else if (productIds) {
+    filter.productId = { $in: productIds };
+  }
+  return filter;
+}
+
+// "-createdOn" -> { field: 'createdOn', direction: -1 }, limited to allowed fields
+function parseSortParam(value, allowed, fallback) {
+  const raw = value ? String(value).trim() : fallback;
+  const direction = raw.startsWith('-') ? -1 : 1;
+  const field = raw.replace(/^[-+]/, '');
+  if (!allowed.includes(field)) {
+    throw badRequest(`sort must be one of: ${allowed.join(', ')} (prefix with - for descending)`);
+  }
+  return { field, direction };
+}
+
+// Date sort values are tagged so they decode back into Dates
+function encodeCursor(doc, sort) {
+  const value = doc[sort.field] ?? null;
+  const payload = { f: sort.field, d: sort.direction, v: value, id: String(doc._id) };
+  if (value instanceof Date) {
+    payload.v = value.toISOString();
+    payload.t = 'date';
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
+  if (!payload || payload.f !== sort.field || payload.d !== sort.direction ||
+      !mongoose.isValidObjectId(payload.id)) {
+    throw badRequest('Cursor does not match the requested sort');
+  }
+  if (payload.t === 'date' && payload.v !== null) {
+    payload.v = new Date(payload.v);
+    if (Number.isNaN(payload.v.getTime())) throw badRequest('Invalid cursor');
+  }
+  return payload;
+}
+
+// Runs a cursor-paginated find. Query params: limit (default 100, max
+// 1000), cursor (nextCursor from the previous page) and sort. Routes that
+// returned plain arrays before pagination pass arrayWhenUnpaged: without
+// limit or cursor they still get every matching document as an array.
+async function paginate(Model, filter, projection, query, { sortFields, defaultSort, arrayWhenUnpaged = false }) {
+  const DEFAULT_LIMIT = 100;
+  const MAX_LIMIT = 1000;
+  if (arrayWhenUnpaged && query.limit === undefined && query.cursor === undefined) {
+    return Model.find(filter, projection).sort(downloadSort(query, sortFields, defaultSort)).lean();
+  }
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  const sort = parseSortParam(query.sort, sortFields, defaultSort);
+
+  const pageFilter = { ...filter };
+  if (query.cursor) {
+    const { v, id } = decodeCursor(query.cursor, sort);
+    const op = sort.direction === 1 ? '$gt' : '$lt';
+    const afterCursor = [{ [sort.field]: v, _id: { [op]: new mongoose.Types.ObjectId(id) } }];
+    // Missing values sort before everything else, so they need their own clause
+    if (v === null) {
+      if (sort.direction === 1) afterCursor.push({ [sort.field]: { $ne: null } });
+    } else {
+      afterCursor.push({ [sort.field]: { [op]: v } });
+      if (sort.direction === -1) afterCursor.push({ [sort.field]: null });
+    }
+    pageFilter.$and = [...(pageFilter.$and || []), { $or: afterCursor }];
+  }
+
+  const [docs, total] = await Promise.all([
+    Model.find(pageFilter, projection)
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .limit(limit + 1)
+      .lean(),
+    Model.countDocuments(filter)
+  ]);
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    data,
+    meta: {
+      total,
+      count: data.length,
+      limit,
+      sort: `${sort.direction === -1 ? '-' : ''}${sort.field}`,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+    }
+  };
+}
+
+// Mongo sort for the unpaginated CSV downloads
+function downloadSort(query, sortFields, defaultSort) {
+  const sort = parseSortParam(query.sort, sortFields, defaultSort);
+  return { [sort.field]: sort.direction, _id: sort.direction };
+}
+
+const PRODUCT_SORT_FIELDS = ['createdOn', 'priority', 'tenantId', 'count', 'id', 'status'];
+const ASSIGNMENT_SORT_FIELDS = ['assignedOn', 'completedOn', 'unassignedTime', 'productId', 'agentId'];
+const AUDIT_SORT_FIELDS = ['createdAt', 'action'];
+
+// ------------------------------
+// Analytics Pipelines
+// Mongo expression for the shift name of a date expression, using the
+// hour in timeZone
+function shiftExpression(dateExpr, timeZone = 'UTC') {
+  const hour = { $hour: { date: dateExpr, timezone: timeZone } };
+  return {
+    $switch: {
+      branches: SHIFTS.map(shift => ({
+        case: shift.start < shift.end
+          ? { $and: [{ $gte: [hour, shift.start] }, { $lt: [hour, shift.end] }] }
+          : { $or: [{ $gte: [hour, shift.start] }, { $lt: [hour, shift.end] }] },
+        then: shift.name
+      })),
+      default: 'unscheduled'
+    }
+  };
+}
+
+// Mongo expression for the reporting period ("2025-03-30" or "2025-03-30 morning")
+function periodExpression(dateExpr, groupBy, timeZone = 'UTC') {
+  const day = { $dateToString: { format: '%Y-%m-%d', date: dateExpr, timezone: timeZone } };
+  return groupBy === 'shift' ? { $concat: [day, ' ', shiftExpression(dateExpr, timeZone)] } : day;
+}
+
+// Missing (or not yet migrated, unparseable) timestamps become null
+function toDateExpression(field) {
+  return { $convert: { input: field, to: 'date', onError: null, onNull: null } };
+}
+
+// Closed assignments (completed or unassigned) with parsed timestamps,
+// limited to those closed within [from, to]
+function closedAssignmentStages(from, to, groupBy, timeZone) {
+  const closedRange = {};
+  if (from) closedRange.$gte = from;
+  if (to) closedRange.$lte = to;
+  return [
+    { $match: { $or: [{ completed: true }, { unassignedTime: { $exists: true } }] } },
+    {
+      $addFields: {
+        _assignedAt: toDateExpression('$assignedOn'),
+        _closedAt: toDateExpression({ $cond: ['$completed', '$completedOn', '$unassignedTime'] })
+      }
+    },
+    { $match: { _closedAt: Object.keys(closedRange).length > 0 ? closedRange : { $ne: null } } },
+    { $addFields: { _period: periodExpression('$_closedAt', groupBy, timeZone) } }
+  ];
+}
+
+// Per agent and period: completions, unassigns, unassign rate and
+// average handle time (completedOn - assignedOn) in minutes
+function agentMetricsPipeline(from, to, groupBy, timeZone) {
+  const handled = { $and: ['$completed', { $ne: ['$_assignedAt', null] }] };
+  return [
+    ...closedAssignmentStages(from, to, groupBy, timeZone),
+    {
+      $group: {
+        _id: { agentId: '$agentId', period: '$_period' },
+        completions: { $sum: { $cond: ['$completed', 1, 0] } },
+        unassigned: { $sum: { $cond: ['$completed', 0, 1] } },
+        handleMs: { $sum: { $cond: [handled, { $subtract: ['$_closedAt', '$_assignedAt'] }, 0] } },
+        handledCount: { $sum: { $cond: [handled, 1, 0] } }
+      }
+    },
+    { $lookup: { from: Agent.collection.name, localField: '_id.agentId', foreignField: '_id', as: 'agent' } },
+    {
+      $project: {
+        _id: 0,
+        agentId: '$_id.agentId',
+        agentName: { $ifNull: [{ $arrayElemAt: ['$agent.name', 0] }, 'Unknown'] },
+        period: '$_id.period',
+        completions: 1,
+        unassigned: 1,
+        unassignRate: {
+          $round: [{ $divide: ['$unassigned', { $add: ['$completions', '$unassigned'] }] }, 4]
+        },
+        avgHandleMinutes: {
+          $cond: [
+            { $gt: ['$handledCount', 0] },
+            { $round: [{ $divide: ['$handleMs', { $multiply: ['$handledCount', 60000] }] }, 2] },
+            null
+          ]
+        }
+      }
+    },
+    { $sort: { period: 1, agentName: 1 } }
+  ];
+}
+
+// Completed tasks per period, tenant and priority
+function throughputPipeline(from, to, groupBy, timeZone) {
+  return [
+    { $match: { completed: true } },
+    ...closedAssignmentStages(from, to, groupBy, timeZone),
+    { $lookup: { from: Product.collection.name, localField: 'productId', foreignField: 'id', as: 'product' } },
+    {
+      $group: {
+        _id: {
+          period: '$_period',
+          tenantId: { $arrayElemAt: ['$product.tenantId', 0] },
+          priority: { $arrayElemAt: ['$product.priority', 0] }
+        },
+        completions: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id.period',
+        tenantId: { $ifNull: ['$_id.tenantId', null] },
+        priority: { $ifNull: ['$_id.priority', null] },
+        completions: 1
+      }
+    },
+    { $sort: { period: 1, tenantId: 1, priority: 1 } }
+  ];
+}
+
+// Unassigned queue aging per priority, measured against the policy SLAs
+function queueAgingPipeline(policy) {
+  const slaBranches = Object.entries(policy.slaMinutes || {}).map(([tier, minutes]) => ({
+    case: { $eq: ['$priority', tier] },
+    then: minutes
+  }));
+  const now = new Date();
+  return [
+    { $match: { status: { $in: ['pending', 'escalated'] } } },
+    {
+      $addFields: {
+        _createdAt: toDateExpression('$createdOn'),
+        _slaMinutes: slaBranches.length > 0
+          ? { $switch: { branches: slaBranches, default: null } }
+          : { $literal: null }
+      }
+    },
+    {
+      $addFields: {
+        _ageMinutes: {
+          $cond: [
+            { $eq: ['$_createdAt', null] },
+            null,
+            { $divide: [{ $subtract: [now, '$_createdAt'] }, 60000] }
+          ]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$priority',
+        unassigned: { $sum: 1 },
+        tasks: { $sum: { $ifNull: ['$count', 1] } },
+        oldestCreatedOn: { $min: '$_createdAt' },
+        slaMinutes: { $first: '$_slaMinutes' },
+        pastSla: {
+          $sum: {
+            $cond: [
+              { $and: [{ $ne: ['$_slaMinutes', null] }, { $gt: ['$_ageMinutes', '$_slaMinutes'] }] },
+              1,
+              0
+            ]
+          }
+        },
+        nearingSla: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $ne: ['$_slaMinutes', null] },
+                  { $lte: ['$_ageMinutes', '$_slaMinutes'] },
+                  { $gte: ['$_ageMinutes', { $multiply: ['$_slaMinutes', policy.slaBumpThreshold] }] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        priority: '$_id',
+        unassigned: 1,
+        tasks: 1,
+        oldestCreatedOn: 1,
+        oldestAgeMinutes: {
+          $cond: [
+            { $eq: ['$oldestCreatedOn', null] },
+            null,
+            { $round: [{ $divide: [{ $subtract: [now, '$oldestCreatedOn'] }, 60000] }, 0] }
+          ]
+        },
+        slaMinutes: 1,
+        pastSla: 1,
+        nearingSla: 1
+      }
+    },
+    { $sort: { priority: 1 } }
+  ];
+}
+
+// ------------------------------
+// Background Jobs
+// Jobs live in the Mongo "jobs" collection, so no Redis is needed. Each
+// worker claims the oldest queued job with an atomic update, so several
+// processes (the web server and worker.js) can poll the same queue.
+// Uploaded files are stored in GridFS, so the worker needs no shared disk.
+const WORKER_ID = `${require('os').hostname()}:${process.pid}`;
+
+// req, when given, is recorded as the job's requester for the audit log
+async function enqueueJob(type, payload = {}, req) {
+  return Job.create({ type, payload, requestedBy: req && req.user ? actorFromRequest(req) : undefined });
+}
+
+// Reconciles products as part of a job: planning is reported as 20%, the
+// bulkWrite batches fill the rest. Products are tagged with the job as an
+// upload batch; keepIds and fullSnapshot go to planProductReconciliation.
+async function reconcileProductsForJob(products, setProgress, job, { source, fileName, keepIds, fullSnapshot }) {
+  await setProgress(20);
+  const batch = { jobId: job._id, source, fileName, at: new Date() };
+  return reconcileProducts(products, (processed, total) =>
+    setProgress(20 + Math.floor((processed / total) * 79)), { batch, keepIds, fullSnapshot });
+}
+
+// Upload files wait for their job in the GridFS "uploads" bucket
+function uploadBucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'uploads' });
+}
+
+// Moves multer's files into GridFS; returns the { fileId, fileName } list
+// stored on upload jobs
+async function stashUploadedFiles(files) {
+  const bucket = uploadBucket();
+  const stashed = [];
+  try {
+    for (const { filePath, fileName } of files) {
+      const stream = bucket.openUploadStream(fileName);
+      await pipeline(createReadStream(filePath), stream);
+      stashed.push({ fileId: stream.id, fileName });
+    }
+  } catch (error) {
+    await dropStashedFiles(stashed);
+    throw error;
+  } finally {
+    await removeUploadedFiles(files);
+  }
+  return stashed;
+}
+
+// Copies stashed files to temp files for the job to read; returns the
+// { filePath, fileName } list readUploadedFiles takes
+async function fetchStashedFiles(stashed) {
+  const bucket = uploadBucket();
+  const files = [];
+  try {
+    for (const { fileId, fileName } of stashed) {
+      const filePath = path.join(require('os').tmpdir(), `${fileId}-${path.basename(fileName)}`);
+      files.push({ filePath, fileName });
+      await pipeline(bucket.openDownloadStream(fileId), createWriteStream(filePath));
+    }
+  } catch (error) {
+    await removeUploadedFiles(files);
+    throw error;
+  }
+  return files;
+}
+
+async function dropStashedFiles(stashed) {
+  const bucket = uploadBucket();
+  await Promise.all(stashed.map(f => bucket.delete(f.fileId).catch(() => {})));
+}
+
+// Stores a previewed upload's rows (and keepIds) across UploadChunk
+// documents that expire with the preview
+async function storeUploadChunks(preview, products, keepIds) {
+  const CHUNK_SIZE = 2000;
+  const chunks = [];
+  for (let i = 0; i * CHUNK_SIZE < Math.max(products.length, keepIds.length); i++) {
+    chunks.push({
+      previewId: preview._id,
+      index: i,
+      products: products.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE),
+      keepIds: keepIds.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE),
+      expiresAt: preview.expiresAt
+    });
+  }
+  if (chunks.length > 0) await UploadChunk.insertMany(chunks);
+}
+
+// Reassembles the rows stored by storeUploadChunks
+async function loadUploadChunks(previewId) {
+  const products = [];
+  const keepIds = [];
+  const cursor = UploadChunk.find({ previewId }).sort({ index: 1 }).lean().cursor();
+  for await (const chunk of cursor) {
+    products.push(...chunk.products);
+    keepIds.push(...chunk.keepIds);
+  }
+  return { products, keepIds };
+}
+
+// IDs on rejected rows of a validation report (kept off the removal list)
+function rejectedProductIds(report) {
+  return report.badRows.map(r => r.productId).filter(Boolean);
+}
+
+// A file that couldn't be read at all makes the upload incomplete
+function fileErrorMessage(report) {
+  if (report.fileErrors.length === 0) return null;
+  return 'Upload not applied; fix these files and upload again: ' +
+    report.fileErrors.map(f => `${f.file}: ${f.error}`).join('; ');
+}
+
+// Handlers run in whichever process claimed the job. They report events
+// through notify(type, data, agentIds); the events are saved on the job and
+// every web process clears its cache and publishes them (startJobRelay).
+const jobHandlers = {
+  async 'upload-output'(job, setProgress, notify) {
+    const { files: stashed, sourceTimeZone, fullSnapshot } = job.payload;
+    let files = [];
+    try {
+      files = await fetchStashedFiles(stashed);
+      const sources = await readUploadedFiles(files);
+      await setProgress(10);
+      const policy = await getAssignmentPolicy();
+      const { products, report } = validateOutputFiles(sources, policy.priorityOrder, sourceTimeZone);
+      const fileError = fileErrorMessage(report);
+      if (fileError) throw new Error(fileError);
+      const summary = await reconcileProductsForJob(products, setProgress, job, {
+        source: 'output',
+        fileName: files.map(f => f.fileName).join(', '),
+        keepIds: rejectedProductIds(report),
+        fullSnapshot
+      });
+
+      notify('upload', { source: 'output', products: products.length, summary });
+      return {
+        summary,
+        files: files.length,
+        skippedRows: report.badRows.length + report.duplicates.length
+      };
+    } finally {
+      await removeUploadedFiles(files);
+      await dropStashedFiles(stashed);
+    }
+  },
+
+  async 'upload-confirm'(job, setProgress, notify) {
+    const { previewId, previewSummary, fileName, fullSnapshot } = job.payload;
+    try {
+      const { products, keepIds } = await loadUploadChunks(previewId);
+      const summary = await reconcileProductsForJob(products, setProgress, job, {
+        source: 'output', fileName, keepIds, fullSnapshot
+      });
+
+      notify('upload', { source: 'output', products: products.length, summary });
+      return { previewSummary, summary };
+    } finally {
+      await UploadChunk.deleteMany({ previewId });
+    }
+  },
+
+  async 'upload-raw-export'(job, setProgress, notify) {
+    const { files: stashed, sourceTimeZone, fullSnapshot } = job.payload;
+    let files = [];
+    try {
+      files = await fetchStashedFiles(stashed);
+      const sources = await readUploadedFiles(files);
+      await setProgress(10);
+      const {
+        products, taskRows, droppedRows, duplicateTasks, rejectedIds, error
+      } = groupRawTaskFiles(sources, sourceTimeZone);
+      if (error) throw new Error(error);
+      const summary = await reconcileProductsForJob(products, setProgress, job, {
+        source: 'raw-export',
+        fileName: files.map(f => f.fileName).join(', '),
+        keepIds: rejectedIds,
+        fullSnapshot
+      });
+
+      notify('upload', { source: 'raw-export', products: products.length, summary });
+      return { files: files.length, taskRows, droppedRows, duplicateTasks, products: products.length, summary };
+    } finally {
+      await removeUploadedFiles(files);
+      await dropStashedFiles(stashed);
+    }
+  },
+
+  async refresh(job, setProgress, notify) {
+    await loadData();
+    notify('refresh');
+    return { message: 'Data refreshed successfully' };
+  }
+};
+
+function jobActor(job) {
+  return job.requestedBy && job.requestedBy.username ? job.requestedBy : { username: `system:${job.type}` };
+}
+
+// Claims and runs the oldest queued job; returns false when the queue is empty
+async function runNextJob() {
+  const job = await Job.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', workerId: WORKER_ID, startedAt: new Date(), heartbeatAt: new Date(), progress: 0 } },
+    { sort: { createdAt: 1 }, new: true }
+  ).lean();
+  if (!job) return false;
+
+  // Only this worker's run of the job may update it; failStaleJobs may
+  // have taken it over if the heartbeat lapsed
+  const owned = { _id: job._id, status: 'running', workerId: WORKER_ID };
+  const setProgress = (progress) =>
+    Job.updateOne(owned, { $set: { progress: Math.min(100, Math.max(0, progress)) } });
+  const events = [];
+  const notify = (type, data, agentIds) =>
+    events.push({ type, data: data || {}, agentIds: (agentIds || []).map(String) });
+  const heartbeat = setInterval(() => {
+    Job.updateOne(owned, { $set: { heartbeatAt: new Date() } })
+      .catch(error => console.error(`Job ${job._id} heartbeat failed:`, error));
+  }, JOB_HEARTBEAT_MS);
+  try {
+    const handler = jobHandlers[job.type];
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+    console.log(`Job ${job._id} (${job.type}) started`);
+    const result = await handler(job, setProgress, notify);
+    const done = await Job.updateOne(
+      owned,
+      { $set: { status: 'done', progress: 100, result, events, finishedAt: new Date() } }
+    );
+    if (done.matchedCount === 0) {
+      // The work is applied even though the job was failed as stale; still
+      // let web processes know
+      console.warn(`Job ${job._id} (${job.type}) finished after it was marked failed`);
+      await Job.updateOne({ _id: job._id }, { $set: { events, finishedAt: new Date() } });
+    }
+    console.log(`Job ${job._id} (${job.type}) completed`);
+    await recordAudit(jobActor(job), job.type, {
+      after: result && result.summary,
+      details: { jobId: job._id, result }
+    });
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) failed:`, error);
+    await Job.updateOne(
+      owned,
+      { $set: { status: 'failed', error: error.message, finishedAt: new Date() } }
+    );
+    await recordAudit(jobActor(job), `${job.type}.failed`, {
+      details: { jobId: job._id, error: error.message }
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+  return true;
+}
+
+// Jobs whose worker stopped heartbeating (it died) can never finish; fail
+// them. Jobs from before heartbeats are judged by startedAt.
+async function failStaleJobs() {
+  const cutoff = new Date(Date.now() - JOB_STALE_MINUTES * 60000);
+  const result = await Job.updateMany(
+    {
+      status: 'running',
+      $or: [
+        { heartbeatAt: { $lt: cutoff } },
+        { heartbeatAt: { $exists: false }, startedAt: { $lt: cutoff } }
+      ]
+    },
+    { $set: { status: 'failed', error: 'Worker stopped before the job finished', finishedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.warn(`Marked ${result.modifiedCount} stale jobs as failed`);
+  }
+}
+
+function startJobWorker() {
+  let busy = false;
+  const poll = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await failStaleJobs();
+      // Drain the queue before waiting for the next poll
+      while (await runNextJob()) { /* keep going */ }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    } finally {
+      busy = false;
+    }
+  };
+  setInterval(poll, JOB_POLL_INTERVAL_MS);
+  poll();
+  console.log(`Job worker ${WORKER_ID} polling every ${JOB_POLL_INTERVAL_MS}ms`);
+}
+
+// Replays the events of jobs finished by any process: clears this
+// process's cache and publishes them to its SSE clients
+function startJobRelay() {
+  const startedAt = Date.now();
+  let since = startedAt;
+  const relayed = new Map(); // jobId -> finishedAt, within the overlap window
+  let busy = false;
+  const poll = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const jobs = await Job.find(
+        {
+          finishedAt: { $gte: new Date(Math.max(startedAt, since - JOB_RELAY_OVERLAP_MS)) },
+          'events.0': { $exists: true }
+        },
+        { events: 1, finishedAt: 1 }
+      ).sort({ finishedAt: 1 }).lean();
+      for (const job of jobs) {
+        if (relayed.has(String(job._id))) continue;
+        relayed.set(String(job._id), job.finishedAt.getTime());
+        since = Math.max(since, job.finishedAt.getTime());
+        cache.invalidate();
+        for (const event of job.events) {
+          eventHub.publish(event.type, event.data, event.agentIds);
+        }
+      }
+      for (const [jobId, finishedAt] of relayed) {
+        if (finishedAt < since - JOB_RELAY_OVERLAP_MS) relayed.delete(jobId);
+      }
+    } catch (error) {
+      console.error('Job relay error:', error);
+    } finally {
+      busy = false;
+    }
+  };
+  setInterval(poll, JOB_POLL_INTERVAL_MS);
+}
+
+// ------------------------------
+// Authentication and Permissions
+// Passwords are hashed with scrypt; tokens are random and stored hashed
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [salt, hash] = String(passwordHash).split(':');
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+// Checked when the username doesn't exist, so the response takes as long
+// as a wrong password would
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// Throttling keys for a login attempt. The client IP only counts when
+// TRUST_PROXY is set; otherwise behind a router every client would share
+// the router's address and lock each other out.
+function loginAttemptKeys(req, username) {
+  const keys = [`user:${username}`];
+  if (TRUST_PROXY !== null) keys.push(`ip:${req.ip}`);
+  return keys;
+}
+
+async function loginThrottled(keys) {
+  const windows = await LoginAttempt.find(
+    { key: { $in: keys }, expiresAt: { $gt: new Date() } },
+    { key: 1, count: 1 }
+  ).lean();
+  const totals = {};
+  for (const w of windows) totals[w.key] = (totals[w.key] || 0) + w.count;
+  return Object.values(totals).some(total => total >= LOGIN_MAX_ATTEMPTS);
+}
+
+async function recordFailedLogin(keys) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + LOGIN_WINDOW_MINUTES * 60000);
+  await LoginAttempt.bulkWrite(keys.map(key => ({
+    updateOne: {
+      filter: { key, expiresAt: { $gt: now } },
+      update: { $inc: { count: 1 }, $setOnInsert: { key, expiresAt } },
+      upsert: true
+    }
+  })));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function issueToken(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + AUTH_TOKEN_TTL_HOURS * 3600000);
+  await AuthToken.create({ tokenHash: hashToken(token), userId: user._id, expiresAt });
+  return { token, expiresAt };
+}
+
+function publicUser(user) {
+  return {
+    _id: user._id,
+    username: user.username,
+    role: user.role,
+    agentId: user.agentId || null,
+    active: user.active !== false
+  };
+}
+
+// EventSource and download links can't send headers, so those routes
+// also accept ?access_token=
+function tokenFromRequest(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  if (req.method === 'GET' && req.query.access_token &&
+      (req.path === '/events' || req.path.startsWith('/download/'))) {
+    return String(req.query.access_token);
+  }
+  return null;
+}
+
+async function authenticate(req, res, next) {
+  if (req.path === '/auth/login') return next();
+  try {
+    const token = tokenFromRequest(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    const session = await AuthToken.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() }
+    }).lean();
+    const user = session ? await User.findById(session.userId).lean() : null;
+    if (!user || user.active === false) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = publicUser(user);
+    req.tokenHash = session.tokenHash;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+}
+
+// Agents may only act on their own work: agentId defaults to the caller's
+// agent and any other agentId is refused. Supervisors and admins pass through.
+function scopeAgentToSelf(req, res, next) {
+  if (req.user.role !== 'agent') return next();
+  if (!req.user.agentId) {
+    return res.status(403).json({ error: 'Your account is not linked to an agent' });
+  }
+  if (req.body.agentId && String(req.body.agentId) !== String(req.user.agentId)) {
+    return res.status(403).json({ error: 'Agents can only act on their own tasks' });
+  }
+  req.body.agentId = String(req.user.agentId);
+  next();
+}
+
+// Validates user fields from a request body; returns { fields, errors }.
+// When partial is false a username and password are required.
+function validateUserFields(body, { partial }) {
+  const fields = {};
+  const errors = [];
+  if (body.username !== undefined || !partial) {
+    if (typeof body.username !== 'string' || body.username.trim() === '') {
+      errors.push('username must be a non-empty string');
+    } else {
+      fields.username = body.username.trim().toLowerCase();
+    }
+  }
+  if (body.password !== undefined || !partial) {
+    if (typeof body.password !== 'string' || body.password.length < 8) {
+      errors.push('password must be at least 8 characters');
+    } else {
+      fields.passwordHash = hashPassword(body.password);
+    }
+  }
+  if (body.role !== undefined) {
+    if (!['agent', 'supervisor', 'admin'].includes(body.role)) {
+      errors.push('role must be agent, supervisor or admin');
+    } else {
+      fields.role = body.role;
+    }
+  }
+  if (body.agentId !== undefined) {
+    if (body.agentId !== null && !mongoose.isValidObjectId(body.agentId)) {
+      errors.push('agentId must be a valid agent ID or null');
+    } else {
+      fields.agentId = body.agentId;
+    }
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    } else {
+      fields.active = body.active;
+    }
+  }
+  return { fields, errors };
+}
+
+// ------------------------------
+// Audit Trail
+function actorFromRequest(req) {
+  return { userId: req.user._id, username: req.user.username, role: req.user.role };
+}
+
+// Appends an audit entry. actor is a request (the signed-in user) or an
+// actor object such as { username: 'system:lease-expired' }. Failures are
+// logged rather than thrown: the action itself has already happened.
+async function recordAudit(actor, action, entry = {}) {
+  try {
+    await AuditLog.create({
+      action,
+      actor: actor && actor.user ? actorFromRequest(actor) : actor,
+      agentIds: (entry.agentIds || []).filter(Boolean),
+      productIds: entry.productIds || [],
+      assignmentIds: entry.assignmentIds || [],
+      before: entry.before,
+      after: entry.after,
+      details: entry.details
+    });
+  } catch (error) {
+    console.error(`Failed to record audit entry for ${action}:`, error);
+  }
+}
+
+// Fields kept in audit before/after snapshots
+const AUDITED_ASSIGNMENT_FIELDS = [
+  'agentId', 'productId', 'assignedOn', 'completed', 'completedOn', 'unassignedTime',
+  'unassignedBy', 'wasUnassigned', 'returnReason', 'returnNote', 'leaseExpiresAt'
+];
+const AUDITED_PRODUCT_FIELDS = ['status', 'statusChangedAt', 'escalatedAt', 'resolvedUpstreamAt', 'avoidAgentIds'];
+const AUDITED_PRODUCT_PROJECTION = Object.fromEntries(['id', ...AUDITED_PRODUCT_FIELDS].map(f => [f, 1]));
+
+function pickAuditedFields(doc, fields) {
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const picked = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) picked[field] = source[field];
+  }
+  return picked;
+}
+
+// A before/after value for an audit entry: the audited fields of each
+// assignment and product, as read from the database
+function auditSnapshot({ assignments = [], products = [] }) {
+  const snapshot = {};
+  if (assignments.length > 0) {
+    snapshot.assignments = assignments.map(a => ({ _id: a._id, ...pickAuditedFields(a, AUDITED_ASSIGNMENT_FIELDS) }));
+  }
+  if (products.length > 0) {
+    snapshot.products = products.map(p => ({ id: p.id, ...pickAuditedFields(p, AUDITED_PRODUCT_FIELDS) }));
+  }
+  return snapshot;
+}
+
+function readAuditedProducts(productIds) {
+  return Product.find({ id: { $in: productIds } }, AUDITED_PRODUCT_PROJECTION).lean();
+}
+
+// Snapshot of assignments (by _id) and products (by id) as they are now
+async function readAuditSnapshot(assignmentIds, productIds) {
+  const [assignments, products] = await Promise.all([
+    Assignment.find({ _id: { $in: assignmentIds } }).lean(),
+    readAuditedProducts(productIds)
+  ]);
+  return auditSnapshot({ assignments, products });
+}
+
+// Who gets recorded as unassignedBy: the signed-in user who did it
+function actorName(req) {
+  return req.user ? req.user.username : 'Unknown';
+}
+
+// ------------------------------
+// Bulk Operation Undo
+// Bulk unassign/complete routes record what they closed. Undo reopens the
+// same assignments and re-marks the products as assigned, but only when
+// nothing has touched them since; otherwise it reports the conflicts.
+function bulkOperationField(type) {
+  return type === 'complete-all-agent' ? 'completedOn' : 'unassignedTime';
+}
+
+// Product statuses an operation leaves its products in
+function bulkOperationStatuses(type) {
+  return type === 'complete-all-agent' ? ['completed'] : ['pending', 'escalated'];
+}
+
+// Routing state of products before a bulk operation changes it
+async function snapshotProducts(productIds) {
+  const products = await Product.find(
+    { id: { $in: productIds } },
+    { id: 1, escalatedAt: 1, avoidAgentIds: 1 }
+  ).lean();
+  return products.map(p => ({
+    productId: p.id,
+    escalatedAt: p.escalatedAt,
+    avoidAgentIds: p.avoidAgentIds || []
+  }));
+}
+
+// Keeps the assignments whose `field` carries the closedAt stamp; any
+// others were closed by a concurrent request
+async function stampedAssignments(assignments, field, closedAt) {
+  const closed = await Assignment.find(
+    { _id: { $in: assignments.map(a => a._id) }, [field]: closedAt },
+    { _id: 1 }
+  ).lean();
+  const closedIds = new Set(closed.map(a => String(a._id)));
+  return assignments.filter(a => closedIds.has(String(a._id)));
+}
+
+// Records a bulk operation stamped closedAt. Only assignments carrying
+// that stamp are kept.
+async function recordBulkOperation(req, type, closedAt, assignments, productSnapshot) {
+  const kept = await stampedAssignments(assignments, bulkOperationField(type), closedAt);
+  const keptProductIds = new Set(kept.map(a => a.productId));
+  return BulkOperation.create({
+    type,
+    actor: actorFromRequest(req),
+    closedAt,
+    assignments: kept.map(a => ({
+      assignmentId: a._id,
+      agentId: a.agentId,
+      productId: a.productId,
+      wasUnassigned: a.wasUnassigned || false
+    })),
+    products: productSnapshot.filter(p => keptProductIds.has(p.productId)),
+    undoExpiresAt: new Date(Date.now() + UNDO_WINDOW_MINUTES * 60000)
+  });
+}
+
+// Lists what stops an operation from being undone: products assigned or
+// moved to another status since, and assignments changed since
+async function findUndoConflicts(operation) {
+  const field = bulkOperationField(operation.type);
+  const productIds = operation.assignments.map(a => a.productId);
+  const conflicts = [];
+  const conflicted = new Set();
+  const open = await Assignment.find(
+    { productId: { $in: productIds }, completed: false, unassignedTime: { $exists: false } },
+    { productId: 1, agentId: 1 }
+  ).lean();
+  for (const a of open) {
+    conflicted.add(a.productId);
+    conflicts.push({ productId: a.productId, agentId: a.agentId, reason: 'assigned to an agent since' });
+  }
+  const moved = await Product.find(
+    { id: { $in: productIds }, status: { $nin: bulkOperationStatuses(operation.type) } },
+    { id: 1, status: 1 }
+  ).lean();
+  for (const p of moved) {
+    if (conflicted.has(p.id)) continue;
+    conflicted.add(p.id);
+    conflicts.push({ productId: p.id, reason: p.status === 'assigned' ? 'claimed since' : `${p.status} since` });
+  }
+  const current = await Assignment.find(
+    { _id: { $in: operation.assignments.map(a => a.assignmentId) } },
+    { completed: 1, completedOn: 1, unassignedTime: 1 }
+  ).lean();
+  const currentById = new Map(current.map(a => [String(a._id), a]));
+  for (const a of operation.assignments) {
+    const doc = currentById.get(String(a.assignmentId));
+    const stamp = doc && doc[field];
+    if (!stamp || stamp.getTime() !== operation.closedAt.getTime()) {
+      conflicts.push({ productId: a.productId, assignmentId: a.assignmentId, reason: 'assignment changed since' });
+    }
+  }
+  return conflicts;
+}
+
+// Reserves capacity and claims products for an undo; everything taken is
+// given back if any of it fails. Returns { conflicts, rollBack }: conflicts
+// is empty on success, and rollBack gives back what was taken if a later
+// step of the undo fails.
+async function reclaimForUndo(operation) {
+  const reserved = {};
+  const claimed = [];
+  const rollBack = async () => {
+    if (claimed.length > 0) {
+      await Product.bulkWrite(claimed.map(p => ({
+        updateOne: { filter: { id: p.id, status: 'assigned' }, update: { $set: { status: p.status } } }
+      })));
+    }
+    await releaseAgentCapacity(reserved);
+  };
+  for (const [agentId, slots] of Object.entries(countByAgent(operation.assignments))) {
+    if (!(await reserveAgentCapacity(agentId, slots))) {
+      await rollBack();
+      const reason = `agent is inactive, offline or no longer has room for ${slots} task(s)`;
+      return { conflicts: [{ agentId, reason }], rollBack };
+    }
+    reserved[agentId] = slots;
+  }
+  for (const { productId } of operation.assignments) {
+    // Returns the product as it was, so a rollback can restore its status
+    const product = await Product.findOneAndUpdate(
+      { id: productId, status: { $in: bulkOperationStatuses(operation.type) } },
+      { $set: { status: 'assigned', statusChangedAt: new Date() } },
+      { projection: { id: 1, status: 1 } }
+    );
+    if (!product) {
+      await rollBack();
+      return { conflicts: [{ productId, reason: 'claimed since' }], rollBack };
+    }
+    claimed.push(product);
+  }
+  return { conflicts: [], rollBack };
+}
+
+// Reopens the operation's assignments (capacity and products already
+// taken by reclaimForUndo). Every assignment must still carry the
+// operation's stamp; if any doesn't, or the write fails, the ones reopened
+// here are closed again and rollBack gives back the products and slots.
+// Returns the conflicts (empty on success).
+async function undoBulkOperation(operation, undoneBy, rollBack) {
+  const field = bulkOperationField(operation.type);
+  const leaseExpiresAt = newLeaseExpiry();
+  const assignmentIds = operation.assignments.map(a => a.assignmentId);
+  const closedBy = (operation.actor && operation.actor.username) || 'Unknown';
+  // Only assignments carrying this undo's lease were reopened by it
+  const revert = async () => {
+    await Assignment.updateMany(
+      { _id: { $in: assignmentIds }, completed: false, unassignedTime: { $exists: false }, leaseExpiresAt },
+      operation.type === 'complete-all-agent'
+        ? { $set: { completed: true, completedOn: operation.closedAt } }
+        : { $set: { unassignedTime: operation.closedAt, unassignedBy: closedBy, wasUnassigned: true } }
+    );
+    await rollBack();
+  };
+  let result;
+  try {
+    result = await Assignment.bulkWrite(operation.assignments.map(a => ({
+      updateOne: {
+        filter: { _id: a.assignmentId, [field]: operation.closedAt },
+        update: operation.type === 'complete-all-agent'
+          ? { $set: { completed: false, leaseExpiresAt }, $unset: { completedOn: '' } }
+          : {
+            $set: { wasUnassigned: a.wasUnassigned || false, leaseExpiresAt },
+            $unset: { unassignedTime: '', unassignedBy: '' }
+          }
+      }
+    })));
+  } catch (error) {
+    await revert();
+    throw error;
+  }
+  if (result.matchedCount < assignmentIds.length) {
+    await revert();
+    return [{ reason: `${assignmentIds.length - result.matchedCount} assignment(s) changed since` }];
+  }
+  // The tasks are reopened; record that before restoring routing state
+  await BulkOperation.updateOne(
+    { _id: operation._id },
+    { $set: { status: 'undone', undoneAt: new Date(), undoneBy } }
+  );
+  if (operation.products.length > 0) {
+    await Product.bulkWrite(operation.products.map(p => ({
+      updateOne: {
+        filter: { id: p.productId },
+        update: p.escalatedAt
+          ? { $set: { escalatedAt: p.escalatedAt, avoidAgentIds: p.avoidAgentIds } }
+          : { $set: { avoidAgentIds: p.avoidAgentIds }, $unset: { escalatedAt: '' } }
+      }
+    })));
+  }
+  return [];
+}
+
+function operationSummary(operation) {
+  return {
+    _id: operation._id,
+    type: operation.type,
+    actor: operation.actor,
+    createdAt: operation.createdAt,
+    tasks: operation.assignments.length,
+    status: operation.status,
+    undoExpiresAt: operation.undoExpiresAt,
+    undoable: operation.status === 'applied' && operation.undoExpiresAt > new Date(),
+    undoneAt: operation.undoneAt,
+    undoneBy: operation.undoneBy
+  };
+}
+
+// Creates the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist
+async function ensureAdminUser() {
+  if (await User.exists({})) return;
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn('No users exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+  await User.create({
+    username: ADMIN_USERNAME.trim().toLowerCase(),
+    passwordHash: hashPassword(ADMIN_PASSWORD),
+    role: 'admin'
+  });
+  console.log(`Created admin user ${ADMIN_USERNAME}`);
+}
+
+// ------------------------------
+// Load Data into MongoDB on Startup
+// Brings documents written by older versions up to date. loadData runs
+// this, and so does worker.js before it takes any job.
+async function runMigrations() {
+  // Convert any string timestamps left from before dates were stored as Dates
+  await migrateDateFields();
+
+  // Derive lifecycle statuses for products from before statuses existed
+  await migrateProductStatuses();
+
+  // Put open assignments from before leases existed under a lease
+  await migrateAssignmentLeases();
+
+  // Rank products from before rank fields were stored
+  await migrateProductRanks();
+}
+
+async function loadData() {
+  await ensureDataDir();
+
+  // Create database indexes for better performance
+  await createIndexes();
+
+  for (const timeZone of [CSV_SOURCE_TIMEZONE, DISPLAY_TIMEZONE]) {
+    if (!isValidTimeZone(timeZone)) throw new Error(`Unknown time zone in configuration: ${timeZone}`);
+  }
+
+  await runMigrations();
+
+  // Make sure capacity reservations match the open assignments
+  await syncAgentActiveCounts();
+
+  // Bootstrap the first admin account
+  await ensureAdminUser();
+
+  // Agents: Import from Excel if none exist.
+  const agentCount = await Agent.countDocuments();
+  if (agentCount === 0) {
+    console.log('No agents found in MongoDB, importing from Excel roster...');
+    const excelAgents = await readRosterExcel();
     if (excelAgents.length > 0) {
       await Agent.insertMany(excelAgents);
       console.log(`Imported ${excelAgents.length} agents from Excel roster`);
@@ -248,13 +3503,14 @@ async function loadData() {
         name: productId || "Unnamed Product",
         priority: row['rule_priority'] || null,
         tenantId: row['tenant_id'] || null,
-        createdOn: row['oldest_created_on'] || null,
+        createdOn: parseSourceDate(row['oldest_created_on']),
         count: Number(row['count']) || 1,
-        assigned: false
+        status: 'pending'
       };
     }).filter(p => p.id);
     if (csvProducts.length > 0) {
       await Product.insertMany(csvProducts);
+      await migrateProductRanks();
       console.log(`Imported ${csvProducts.length} products from CSV`);
     }
   }
@@ -268,53 +3524,626 @@ app.get('/', (req, res) => {
   res.send('Product Assignment Server is running');
 });
 
-app.get('/api/agents', async (req, res) => {
-  try {
-    const agents = await Agent.find({}, {
-      name: 1,
-      role: 1,
-      capacity: 1
-    }).lean();
-    res.json(agents);
+// ------------------------------
+// Authentication and User Endpoints
+// ------------------------------
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+    const name = String(username).trim().toLowerCase();
+    const keys = loginAttemptKeys(req, name);
+    if (await loginThrottled(keys)) {
+      return res.status(429).json({ error: `Too many failed logins; try again in up to ${LOGIN_WINDOW_MINUTES} minutes` });
+    }
+    const user = await User.findOne({ username: name }).lean();
+    const passwordOk = verifyPassword(String(password), user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || user.active === false || !passwordOk) {
+      await recordFailedLogin(keys);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    await LoginAttempt.deleteMany({ key: keys[0] });
+    const { token, expiresAt } = await issueToken(user);
+    res.status(200).json({ token, expiresAt, user: publicUser(user) });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await AuthToken.deleteOne({ tokenHash: req.tokenHash });
+    res.status(200).json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find({}, { passwordHash: 0 }).lean();
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { fields, errors } = validateUserFields(req.body || {}, { partial: false });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    if (await User.exists({ username: fields.username })) {
+      return res.status(409).json({ error: `User ${fields.username} already exists` });
+    }
+    const user = await User.create(fields);
+    await recordAudit(req, 'user.create', { after: publicUser(user) });
+    res.status(201).json({ message: `User ${user.username} created`, user: publicUser(user) });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    const { fields, errors } = validateUserFields(req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const before = await User.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = await User.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await recordAudit(req, 'user.update', {
+      before: publicUser(before),
+      after: publicUser(user),
+      details: { passwordChanged: Boolean(fields.passwordHash) }
+    });
+    // Password changes and deactivation end existing sessions
+    if (fields.passwordHash || fields.active === false) {
+      await AuthToken.deleteMany({ userId: user._id });
+    }
+    res.status(200).json({ message: `User ${user.username} updated`, user: publicUser(user) });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+app.get('/api/agents', async (req, res) => {
+  try {
+    // Deactivated agents are hidden unless explicitly requested
+    const filter = req.query.includeInactive === 'true' ? {} : { active: { $ne: false } };
+    const agents = await Agent.find(filter, {
+      name: 1,
+      role: 1,
+      capacity: 1,
+      tenants: 1,
+      priorities: 1,
+      roles: 1,
+      active: 1,
+      status: 1,
+      statusChangedAt: 1,
+      lastSeenAt: 1,
+      schedule: 1,
+      activeCount: 1
+    }).lean();
+    const now = new Date();
+    res.json(agents.map(agent => ({ ...agent, onShift: isOnShift(agent, now) })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ------------------------------
+// Agent Management Endpoints
+// ------------------------------
+app.get('/api/agents/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid agent ID' });
+    }
+    const agent = await Agent.findById(req.params.id).lean();
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(agent);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/agents', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { fields, errors } = validateAgentFields(req.body || {}, { partial: false });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const agent = await Agent.create(fields);
+    cache.invalidate('dashboard-data');
+    await recordAudit(req, 'agent.create', { agentIds: [agent._id], after: agent.toObject() });
+    res.status(201).json({ message: `Agent ${agent.name} created`, agent });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+app.put('/api/agents/:id', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid agent ID' });
+    }
+    const { fields, errors } = validateAgentFields(req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const before = await Agent.findById(req.params.id).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    const agent = await Agent.findByIdAndUpdate(
+      req.params.id,
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    cache.invalidate('dashboard-data');
+    await recordAudit(req, 'agent.update', { agentIds: [agent._id], before, after: agent.toObject() });
+    res.status(200).json({ message: `Agent ${agent.name} updated`, agent });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+// Agents with assignment history can't be deleted (that would orphan
+// their assignments); deactivate them with PUT { active: false } instead
+app.delete('/api/agents/:id', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid agent ID' });
+    }
+    const agent = await Agent.findById(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    const hasAssignments = await Assignment.exists({ agentId: agent._id });
+    if (hasAssignments) {
+      return res.status(409).json({
+        error: `Agent ${agent.name} has assignment history; deactivate the agent instead`
+      });
+    }
+    await Agent.deleteOne({ _id: agent._id });
+    cache.invalidate('dashboard-data');
+    await recordAudit(req, 'agent.delete', { agentIds: [agent._id], before: agent.toObject() });
+    res.status(200).json({ message: `Agent ${agent.name} deleted` });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+// Re-sync agents against a new roster workbook: adds new names,
+// reactivates returning ones, deactivates agents no longer listed
+// (their assignments are left untouched) and reports the diff.
+app.post('/api/agents/roster-upload', requireRole('supervisor', 'admin'), upload.single('rosterFile'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'rosterFile is required' });
+  }
+  try {
+    const rosterAgents = await readRosterExcel(req.file.path);
+    await fs.unlink(req.file.path);
+    if (rosterAgents.length === 0) {
+      return res.status(400).json({ error: 'No agents found in the uploaded roster' });
+    }
+    const diff = await syncRoster(rosterAgents);
+    cache.invalidate('dashboard-data');
+    await recordAudit(req, 'agent.roster-sync', { after: diff, details: { fileName: req.file.originalname } });
+    res.status(200).json({
+      message: `Roster synced: ${diff.added.length} added, ${diff.reactivated.length} reactivated, ` +
+        `${diff.updated.length} updated, ${diff.deactivated.length} deactivated`,
+      ...diff
+    });
+  } catch (error) {
+    console.error('Error syncing roster:', error);
+    await fs.unlink(req.file.path).catch(() => {});
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+// Set an agent's presence. Agents set their own; supervisors anyone's.
+// Going offline releases the agent's open tasks back to the pool when
+// releaseTasks is true (default: RELEASE_TASKS_ON_OFFLINE).
+app.post('/api/agent-status', scopeAgentToSelf, async (req, res) => {
+  try {
+    const { agentId, status } = req.body;
+    if (!agentId || !mongoose.isValidObjectId(agentId)) {
+      return res.status(400).json({ error: 'A valid agentId is required' });
+    }
+    if (!AGENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${AGENT_STATUSES.join(', ')}` });
+    }
+    if (req.body.releaseTasks !== undefined && typeof req.body.releaseTasks !== 'boolean') {
+      return res.status(400).json({ error: 'releaseTasks must be a boolean' });
+    }
+    const releaseTasks = req.body.releaseTasks ?? RELEASE_TASKS_ON_OFFLINE;
+    const now = new Date();
+    const before = await Agent.findByIdAndUpdate(
+      agentId,
+      { $set: { status, statusChangedAt: now, lastSeenAt: now } }
+    ).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    const agent = { ...before, status, statusChangedAt: now, lastSeenAt: now };
+    cache.invalidate('dashboard-data');
+    eventHub.publish('status', { agentId: agent._id, status }, [agent._id]);
+    await recordAudit(req, 'agent.status', {
+      agentIds: [agent._id],
+      before: { status: before.status || 'available' },
+      after: { status }
+    });
+
+    // The status is already written (offline agents can't be given new
+    // work meanwhile), so a failed release is reported as a partial result
+    let released = null;
+    if (status === 'offline' && releaseTasks) {
+      try {
+        released = await releaseAgentTasks(req, agent, 'unassign.offline');
+      } catch (error) {
+        return res.status(500).json({
+          error: `${agent.name} is now ${status}, but releasing their tasks failed: ${error.message}. ` +
+            'Retry with /api/unassign-agent.',
+          status,
+          released: 0
+        });
+      }
+    }
+    res.status(200).json({
+      message: released
+        ? `${agent.name} is now ${status}; released ${released.count} task(s)`
+        : `${agent.name} is now ${status}`,
+      status,
+      released: released ? released.count : 0,
+      operationId: released ? released.operation._id : undefined,
+      onShift: isOnShift(agent, now)
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: `Server error: ${error.message}` });
   }
 });
 
+// How an assignment ended, for product timelines
+function assignmentOutcome(a) {
+  if (a.completed) return 'completed';
+  if (!a.unassignedTime) return 'active';
+  if (a.transferredTo) return 'transferred';
+  if (a.returnReason) return 'returned';
+  if (a.unassignedBy === LEASE_EXPIRED_MARKER) return 'lease-expired';
+  return 'unassigned';
+}
+
+// A product's current state, its assignment timeline (oldest first) and
+// the upload batches it appeared in; null if the product doesn't exist
+async function productHistory(productId) {
+  const product = await Product.findOne({ id: productId }).lean();
+  if (!product) return null;
+  const assignments = await Assignment.find({ productId }).sort({ assignedOn: 1, _id: 1 }).lean();
+  const agentIds = new Set();
+  for (const a of assignments) {
+    for (const id of [a.agentId, a.transferredTo, a.transferredFrom]) {
+      if (id) agentIds.add(String(id));
+    }
+  }
+  const agents = await Agent.find({ _id: { $in: [...agentIds] } }, { name: 1 }).lean();
+  const agentNames = {};
+  agents.forEach(a => {
+    agentNames[a._id] = a.name;
+  });
+  const nameOf = id => (id ? agentNames[id] || 'Unknown' : null);
+
+  const timeline = assignments.map(a => ({
+    assignmentId: a._id,
+    agentId: a.agentId,
+    agentName: nameOf(a.agentId),
+    assignedOn: a.assignedOn,
+    outcome: assignmentOutcome(a),
+    completedOn: a.completedOn || null,
+    unassignedTime: a.unassignedTime || null,
+    unassignedBy: a.unassignedBy || null,
+    returnReason: a.returnReason || null,
+    returnNote: a.returnNote || null,
+    transferredTo: nameOf(a.transferredTo),
+    transferredFrom: nameOf(a.transferredFrom)
+  }));
+
+  // Every upload that included the product, oldest first
+  const batches = await UploadBatch.find({ productIds: productId }, { productIds: 0 }).sort({ at: 1 }).lean();
+  const jobs = await Job.find(
+    { _id: { $in: batches.map(b => b.jobId) } },
+    { requestedBy: 1, status: 1 }
+  ).lean();
+  const jobsById = new Map(jobs.map(j => [String(j._id), j]));
+  const uploadBatches = batches.map(b => {
+    const job = jobsById.get(String(b.jobId));
+    return {
+      jobId: b.jobId,
+      source: b.source,
+      fileName: b.fileName,
+      at: b.at,
+      uploadedBy: job && job.requestedBy ? job.requestedBy.username : null
+    };
+  });
+
+  return { product, timeline, uploadBatches };
+}
+
 app.get('/api/products', async (req, res) => {
   try {
-    const products = await Product.find({}, {
+    const filter = await buildProductFilter(req.query, req.timeZone);
+    const page = await paginate(Product, filter, {
       id: 1,
       name: 1,
       priority: 1,
       tenantId: 1,
       createdOn: 1,
       count: 1,
-      assigned: 1
-    }).lean();
-    res.json(products);
+      status: 1,
+      taskNumbers: 1
+    }, req.query, { sortFields: PRODUCT_SORT_FIELDS, defaultSort: 'createdOn', arrayWhenUnpaged: true });
+    res.json(page);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Single product: current state, assignment timeline and upload batches
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    const history = await productHistory(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The same history as a download: CSV (default), xlsx, or JSON with
+// ?format=json. Rows are the assignment timeline with the product's fields;
+// a product that was never assigned still gets one row.
+app.get('/api/products/:id/export', async (req, res) => {
+  try {
+    const history = await productHistory(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const filename = `product-${String(req.params.id).replace(/[^\w.-]/g, '_')}-history`;
+    if (String(req.query.format || '').toLowerCase() === 'json') {
+      res.setHeader('Content-disposition', `attachment; filename=${filename}.json`);
+      return res.json(history);
+    }
+    const { product } = history;
+    const timeline = history.timeline.length ? history.timeline : [{ outcome: 'never-assigned' }];
+    const rows = timeline.map(t => ({
+      productId: product.id,
+      name: product.name,
+      priority: product.priority,
+      tenantId: product.tenantId,
+      createdOn: product.createdOn,
+      agentName: t.agentName || '',
+      assignedOn: t.assignedOn || '',
+      outcome: t.outcome,
+      completedOn: t.completedOn || '',
+      unassignedTime: t.unassignedTime || '',
+      unassignedBy: t.unassignedBy || '',
+      returnReason: t.returnReason || '',
+      returnNote: t.returnNote || '',
+      transferredTo: t.transferredTo || '',
+      transferredFrom: t.transferredFrom || ''
+    }));
+    if (wantsXlsx(req)) {
+      const columns = ['productId', 'name', 'priority', 'tenantId', 'createdOn', 'agentName', 'assignedOn', 'outcome',
+        'completedOn', 'unassignedTime', 'unassignedBy', 'returnReason', 'returnNote', 'transferredTo',
+        'transferredFrom'];
+      sendWorkbook(res, [
+        { name: 'History', rows, columns },
+        { name: 'Upload batches', rows: history.uploadBatches.map(b => ({ ...b, jobId: String(b.jobId) })), columns: ['jobId', 'source', 'fileName', 'at', 'uploadedBy'] }
+      ], filename, req.timeZone);
+    } else {
+      sendCsv(res, rows, filename, req.timeZone);
+    }
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Set a product's status by hand: hold or release it, mark it resolved
+// upstream, or reopen it. Only MANUAL_PRODUCT_STATUSES and transitions in
+// PRODUCT_TRANSITIONS are allowed; assigned/completed come from
+// assign/complete. Assigned products are refused: their open assignment
+// and the agent's capacity are only released through unassign. An
+// optional note is kept in the audit log.
+app.put('/api/products/:id/status', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    const note = req.body && req.body.note ? String(req.body.note).trim() : '';
+    if (!MANUAL_PRODUCT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${MANUAL_PRODUCT_STATUSES.join(', ')}` });
+    }
+    if (note.length > MAX_RETURN_NOTE_LENGTH) {
+      return res.status(400).json({ error: `note must be at most ${MAX_RETURN_NOTE_LENGTH} characters` });
+    }
+    const before = await Product.findOne({ id: req.params.id }).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (before.status === 'assigned') {
+      return res.status(409).json({ error: 'Product is assigned; unassign it before changing its status' });
+    }
+    if (!(PRODUCT_TRANSITIONS[before.status] || []).includes(status)) {
+      return res.status(409).json({ error: `Cannot change product status from ${before.status} to ${status}` });
+    }
+    const now = new Date();
+    const update = { $set: { status, statusChangedAt: now }, $unset: {} };
+    if (status === 'pending') {
+      update.$unset.escalatedAt = '';
+      update.$unset.resolvedUpstreamAt = '';
+    } else if (status === 'escalated') {
+      update.$set.escalatedAt = before.escalatedAt || now;
+      update.$unset.resolvedUpstreamAt = '';
+    } else if (status === 'resolved-upstream') {
+      update.$set.resolvedUpstreamAt = before.resolvedUpstreamAt || now;
+    }
+    if (Object.keys(update.$unset).length === 0) delete update.$unset;
+    // Conditional on the status we checked, so a concurrent assign wins
+    const product = await Product.findOneAndUpdate(
+      { id: req.params.id, status: before.status },
+      update,
+      { new: true }
+    );
+    if (!product) {
+      return res.status(409).json({ error: 'Product status changed in the meantime; reload and try again' });
+    }
+    cache.invalidate('dashboard-data');
+    await recordAudit(req, 'product.status', {
+      productIds: [product.id],
+      before: auditSnapshot({ products: [before] }),
+      after: auditSnapshot({ products: [product] }),
+      details: note ? { note } : undefined
+    });
+    res.status(200).json({ message: `Product ${product.id} is now ${status}`, product });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
 app.get('/api/assignments', async (req, res) => {
   try {
-    const assignments = await Assignment.find({}, {
+    const filter = await buildAssignmentFilter(req.query, req.timeZone);
+    const page = await paginate(Assignment, filter, {
       agentId: 1, 
       productId: 1, 
       assignedOn: 1, 
       completed: 1,
       completedOn: 1,
       unassignedTime: 1,
-      unassignedBy: 1
-    }).lean();
-    res.json(assignments);
+      unassignedBy: 1,
+      returnReason: 1,
+      returnNote: 1,
+      transferredTo: 1,
+      transferredFrom: 1
+    }, req.query, { sortFields: ASSIGNMENT_SORT_FIELDS, defaultSort: '-assignedOn', arrayWhenUnpaged: true });
+    res.json(page);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ------------------------------
+// Analytics Endpoints
+// ------------------------------
+// Agent productivity per day or shift (?groupBy=day|shift, ?from=, ?to=)
+app.get('/api/analytics/agents', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'day';
+    if (!['day', 'shift'].includes(groupBy)) {
+      return res.status(400).json({ error: 'groupBy must be day or shift' });
+    }
+    // Days and shifts are bucketed in the requester's time zone
+    const timeZone = req.timeZone;
+    const from = parseRangeDate(req.query.from, 'from', { timeZone }) || null;
+    const to = parseRangeDate(req.query.to, 'to', { endOfDay: true, timeZone }) || null;
+    const [agents, throughput] = await Promise.all([
+      Assignment.aggregate(agentMetricsPipeline(from, to, groupBy, timeZone)).allowDiskUse(true),
+      Assignment.aggregate(throughputPipeline(from, to, groupBy, timeZone)).allowDiskUse(true)
+    ]);
+    res.json({ groupBy, timeZone, from, to, agents, throughput });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Queue aging per priority: oldest unassigned item and SLA breaches
+app.get('/api/analytics/queue', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const policy = await getAssignmentPolicy();
+    const priorities = await Product.aggregate(queueAgingPipeline(policy)).allowDiskUse(true);
+    res.json({
+      generatedAt: new Date(),
+      totals: {
+        unassigned: priorities.reduce((sum, p) => sum + p.unassigned, 0),
+        pastSla: priorities.reduce((sum, p) => sum + p.pastSla, 0),
+        nearingSla: priorities.reduce((sum, p) => sum + p.nearingSla, 0)
+      },
+      priorities
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Live event stream. Subscribe globally, or per agent with ?agentId=
+// (which still gets events that concern everyone, such as uploads).
+// Reconnecting clients resume via the Last-Event-ID header (sent
+// automatically by EventSource) or ?lastEventId=; if that point can't be
+// resumed from, a "reset" event is sent instead.
+app.get('/api/events', (req, res) => {
+  let agentId = req.query.agentId ? String(req.query.agentId) : null;
+  // Agents only get their own stream, as scopeAgentToSelf does elsewhere
+  if (req.user.role === 'agent') {
+    if (!req.user.agentId) {
+      return res.status(403).json({ error: 'Your account is not linked to an agent' });
+    }
+    if (agentId && agentId !== String(req.user.agentId)) {
+      return res.status(403).json({ error: 'Agents can only subscribe to their own events' });
+    }
+    agentId = String(req.user.agentId);
+  }
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const client = { res, agentId };
+  if (lastEventId) {
+    const missed = eventHub.since(lastEventId);
+    if (missed) {
+      for (const event of missed) {
+        if (eventHub.matches(client, event)) eventHub.send(res, event);
+      }
+    } else {
+      eventHub.sendReset(res);
+    }
+  }
+  eventHub.clients.add(client);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    eventHub.clients.delete(client);
+  });
+});
+
 // New combined endpoint to fetch all necessary data in one request
 app.get('/api/dashboard-data', async (req, res) => {
   try {
@@ -328,7 +4157,14 @@ app.get('/api/dashboard-data', async (req, res) => {
       Agent.find({}, {
         name: 1,
         role: 1,
-        capacity: 1
+        capacity: 1,
+        tenants: 1,
+        priorities: 1,
+        roles: 1,
+        active: 1,
+        status: 1,
+        schedule: 1,
+        activeCount: 1
       }).lean(),
       Product.find({}, {
         id: 1,
@@ -337,7 +4173,7 @@ app.get('/api/dashboard-data', async (req, res) => {
         tenantId: 1,
         createdOn: 1,
         count: 1,
-        assigned: 1
+        status: 1
       }).lean(),
       Assignment.find({}, {
         agentId: 1, 
@@ -356,7 +4192,8 @@ app.get('/api/dashboard-data', async (req, res) => {
       assignments,
       totalAgents: agents.length,
       totalProducts: products.length,
-      totalAssignments: assignments.length
+      totalAssignments: assignments.length,
+      headcount: agentHeadcount(agents)
     };
 
     // Cache the data (short TTL since it changes frequently)
@@ -381,16 +4218,21 @@ app.get('/api/completed-assignments', async (req, res) => {
   }
 });
 
-// Unassigned products
+// Unassigned products: pending ones unless ?status says otherwise
 app.get('/api/unassigned-products', async (req, res) => {
   try {
-    const unassigned = await Product.find(
-      { assigned: false },
-      { id: 1, name: 1, count: 1, tenantId: 1, priority: 1, createdOn: 1 }
-    ).lean();
-    res.json(unassigned);
+    const filter = await buildProductFilter(req.query, req.timeZone);
+    if (!filter.status) filter.status = 'pending';
+    const page = await paginate(
+      Product,
+      filter,
+      { id: 1, name: 1, count: 1, tenantId: 1, priority: 1, createdOn: 1, taskNumbers: 1, status: 1 },
+      req.query,
+      { sortFields: PRODUCT_SORT_FIELDS, defaultSort: 'createdOn', arrayWhenUnpaged: true }
+    );
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -408,7 +4250,7 @@ app.get('/api/previously-assigned', async (req, res) => {
     const productsMap = {};
     const products = await Product.find(
       { id: { $in: productIds } },
-      { id: 1, count: 1, tenantId: 1, priority: 1, createdOn: 1 }
+      { id: 1, count: 1, tenantId: 1, priority: 1, createdOn: 1, status: 1 }
     ).lean();
     
     // Create a lookup map for faster access
@@ -425,8 +4267,11 @@ app.get('/api/previously-assigned', async (req, res) => {
         tenantId: product ? product.tenantId : '',
         priority: product ? product.priority : '',
         createdOn: product ? product.createdOn : '',
+        status: product ? product.status : '',
         unassignedTime: a.unassignedTime || '',
-        unassignedBy: a.unassignedBy || ''
+        unassignedBy: a.unassignedBy || '',
+        returnReason: a.returnReason || '',
+        returnNote: a.returnNote || ''
       };
     });
     
@@ -439,188 +4284,478 @@ app.get('/api/previously-assigned', async (req, res) => {
 // Queue: all products
 app.get('/api/queue', async (req, res) => {
   try {
-    const products = await Product.find({}, {
+    const filter = await buildProductFilter(req.query, req.timeZone);
+    const page = await paginate(Product, filter, {
       id: 1,
       name: 1,
       priority: 1,
       tenantId: 1,
       createdOn: 1,
       count: 1,
-      assigned: 1
-    }).lean();
-    res.json(products);
+      status: 1,
+      taskNumbers: 1
+    }, req.query, { sortFields: PRODUCT_SORT_FIELDS, defaultSort: 'createdOn', arrayWhenUnpaged: true });
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // ------------------------------
 // Optimized CSV Upload Endpoint (Using bulkWrite)
 // ------------------------------
-app.post('/api/upload-output', upload.single('outputFile'), async (req, res) => {
-  try {
-    console.log('CSV file upload received:', req.file.path);
-    const rows = [];
-    await new Promise((resolve, reject) => {
-      createReadStream(req.file.path)
-        .pipe(csvParser())
-        .on('data', row => {
-          rows.push(row);
-        })
-        .on('end', resolve)
-        .on('error', reject);
-    });
-
-    // Process in batches for large files
-    const BATCH_SIZE = 500;
-    let processed = 0;
-
-    while (processed < rows.length) {
-      const batch = rows.slice(processed, processed + BATCH_SIZE);
-      processed += batch.length;
-
-      const bulkOps = [];
-      for (const row of batch) {
-        const productId = row['abstract_product_id'] || row['item.abstract_product_id'];
-        if (!productId) continue;
-        bulkOps.push({
-          updateOne: {
-            filter: { id: productId },
-            update: {
-              $set: {
-                id: productId,
-                name: productId,
-                priority: row['rule_priority'] || null,
-                tenantId: row['tenant_id'] || null,
-                createdOn: row['oldest_created_on'] || null,
-                count: Number(row['count']) || 1,
-                assigned: false
-              }
-            },
-            upsert: true
-          }
-        });
-      }
-      if (bulkOps.length > 0) {
-        await Product.bulkWrite(bulkOps);
-        console.log(`BulkWrite processed ${bulkOps.length} product updates (batch ${processed/BATCH_SIZE})`);
-      }
+// Uploads are processed as background jobs; poll /api/jobs/:id for progress.
+// Several CSV or xlsx files may be sent in outputFile; they are merged
+// before import. An optional sourceTimezone field overrides CSV_SOURCE_TIMEZONE.
+app.post('/api/upload-output', requireRole('supervisor', 'admin'), upload.array('outputFile', MAX_UPLOAD_FILES), async (req, res) => {
+  const files = uploadedFileList(req);
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'outputFile is required' });
+  }
+  let stashed = [];
+  try {
+    console.log(`Output upload received: ${files.map(f => f.fileName).join(', ')}`);
+    const sourceTimeZone = uploadSourceTimeZone(req);
+    const fullSnapshot = uploadFullSnapshot(req);
+    stashed = await stashUploadedFiles(files);
+    const job = await enqueueJob('upload-output', { files: stashed, sourceTimeZone, fullSnapshot }, req);
+    res.status(202).json({ message: 'CSV upload queued', jobId: job._id, statusUrl: `/api/jobs/${job._id}` });
+  } catch (error) {
+    console.error('Error uploading CSV:', error);
+    await removeUploadedFiles(files);
+    await dropStashedFiles(stashed);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Dry run: validate an output CSV and report the diff it would apply.
+// Nothing is written until /api/upload-output/confirm is called with the
+// returned previewToken.
+app.post('/api/upload-output/preview', requireRole('supervisor', 'admin'), upload.array('outputFile', MAX_UPLOAD_FILES), async (req, res) => {
+  const files = uploadedFileList(req);
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'outputFile is required' });
+  }
+  try {
+    const sourceTimeZone = uploadSourceTimeZone(req);
+    const sources = await readUploadedFiles(files);
+    await removeUploadedFiles(files);
+    const policy = await getAssignmentPolicy();
+    const { products, report } = validateOutputFiles(sources, policy.priorityOrder, sourceTimeZone);
+    const fileError = fileErrorMessage(report);
+    if (fileError) {
+      return res.status(400).json({ error: fileError, report });
     }
+    const keepIds = rejectedProductIds(report);
+    const fullSnapshot = uploadFullSnapshot(req);
+    const { summary } = await planProductReconciliation(products, { keepIds, fullSnapshot });
+    const preview = await UploadPreview.create({
+      token: uuidv4(),
+      fileName: files.map(f => f.fileName).join(', '),
+      productCount: products.length,
+      fullSnapshot,
+      summary,
+      expiresAt: new Date(Date.now() + UPLOAD_PREVIEW_TTL_MINUTES * 60000)
+    });
+    await storeUploadChunks(preview, products, keepIds);
+    res.status(200).json({
+      previewToken: preview.token,
+      expiresAt: preview.expiresAt,
+      report,
+      summary
+    });
+  } catch (error) {
+    console.error('Error previewing CSV:', error);
+    await removeUploadedFiles(files);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    // Clear caches to ensure fresh data
-    cache.invalidate();
-    
-    await fs.unlink(req.file.path);
-    res.status(200).json({ message: 'CSV uploaded and products updated successfully' });
+// Applies a previewed upload. The diff is recomputed against the current
+// state, since products may have changed since the preview was made.
+// fullSnapshot: true confirms removals the preview withheld.
+app.post('/api/upload-output/confirm', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { previewToken } = req.body;
+    if (!previewToken) {
+      return res.status(400).json({ error: 'previewToken is required' });
+    }
+    // Deleting up front makes a token single-use even under concurrent confirms
+    const preview = await UploadPreview.findOneAndDelete({
+      token: String(previewToken),
+      expiresAt: { $gt: new Date() }
+    }).lean();
+    if (!preview) {
+      return res.status(404).json({ error: 'Preview not found or expired' });
+    }
+    if (!preview.productCount) {
+      await UploadChunk.deleteMany({ previewId: preview._id });
+      return res.status(400).json({ error: 'The previewed upload has no valid product rows' });
+    }
+    // Keep the rows past the preview's expiry; the job removes them
+    await UploadChunk.updateMany({ previewId: preview._id }, { $unset: { expiresAt: '' } });
+    const job = await enqueueJob('upload-confirm', {
+      previewId: preview._id,
+      fileName: preview.fileName,
+      fullSnapshot: preview.fullSnapshot || req.body.fullSnapshot === true,
+      previewSummary: preview.summary
+    }, req);
+    res.status(202).json({ message: 'CSV upload queued', jobId: job._id, statusUrl: `/api/jobs/${job._id}` });
   } catch (error) {
-    console.error('Error uploading CSV:', error);
+    console.error('Error confirming CSV upload:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Raw ServiceNow task export upload (replaces running CONSOL.PY by hand).
+// Accepts several CSV or xlsx exports in rawFile, grouped together.
+app.post('/api/upload-raw-export', requireRole('supervisor', 'admin'), upload.array('rawFile', MAX_UPLOAD_FILES), async (req, res) => {
+  const files = uploadedFileList(req);
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'rawFile is required' });
+  }
+  let stashed = [];
+  try {
+    console.log(`Raw task export upload received: ${files.map(f => f.fileName).join(', ')}`);
+    const sourceTimeZone = uploadSourceTimeZone(req);
+    const fullSnapshot = uploadFullSnapshot(req);
+    stashed = await stashUploadedFiles(files);
+    const job = await enqueueJob('upload-raw-export', { files: stashed, sourceTimeZone, fullSnapshot }, req);
+    res.status(202).json({ message: 'Raw export upload queued', jobId: job._id, statusUrl: `/api/jobs/${job._id}` });
+  } catch (error) {
+    console.error('Error uploading raw task export:', error);
+    await removeUploadedFiles(files);
+    await dropStashedFiles(stashed);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Refresh endpoint
-app.post('/api/refresh', async (req, res) => {
+app.post('/api/refresh', requireRole('supervisor', 'admin'), async (req, res) => {
   try {
-    await loadData();
-    // Clear caches to ensure fresh data
-    cache.invalidate();
-    res.status(200).json({ message: 'Data refreshed successfully' });
+    const job = await enqueueJob('refresh', {}, req);
+    res.status(202).json({ message: 'Data refresh queued', jobId: job._id, statusUrl: `/api/jobs/${job._id}` });
   } catch (error) {
     res.status(500).json({ error: 'Failed to refresh data' });
   }
 });
 
 // ------------------------------
-// Task Assignment and Completion Endpoints
+// Job Status Endpoints
+// ------------------------------
+app.get('/api/jobs', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: String(req.query.status) } : {};
+    const jobs = await Job.find(filter, { payload: 0, events: 0 }).sort({ createdAt: -1 }).limit(50).lean();
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:id', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+    const job = await Job.findById(req.params.id, { payload: 0, events: 0 }).lean();
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ------------------------------
+// Audit Log Endpoint
+// ------------------------------
+// Newest first by default; CSV/xlsx at /api/download/audit-log
+app.get('/api/audit-log', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const page = await paginate(AuditLog, buildAuditFilter(req.query, req.timeZone), {}, req.query,
+      { sortFields: AUDIT_SORT_FIELDS, defaultSort: '-createdAt' });
+    res.json(page);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ------------------------------
+// Assignment Policy Endpoints
+// ------------------------------
+app.get('/api/assignment-policy', async (req, res) => {
+  try {
+    const policy = await getAssignmentPolicy();
+    res.json(policy);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/assignment-policy', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const { update, errors } = validatePolicyUpdate(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    update.updatedBy = req.body.updatedBy ? String(req.body.updatedBy) : actorName(req);
+    const before = await getAssignmentPolicy();
+    const policy = await AssignmentPolicy.findOneAndUpdate(
+      { key: 'default' },
+      { $set: update },
+      { upsert: true, new: true, lean: true, runValidators: true }
+    );
+    cache.invalidate('assignment-policy');
+    await refreshProductRanks(policy);
+    await recordAudit(req, 'policy.update', { before, after: policy });
+    res.status(200).json({ message: 'Assignment policy updated', policy });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
 // ------------------------------
-let assignmentInProgress = false;
+// Auto-Dispatcher Endpoints
+// ------------------------------
+app.get('/api/dispatcher', requireRole('supervisor', 'admin'), async (req, res) => {
+  try {
+    const settings = await getDispatchSettings();
+    res.json({ ...settings, intervalMs: DISPATCH_INTERVAL_MS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Assign a product to an agent (Optimized: directly query for available product)
-app.post('/api/assign', async (req, res) => {
-  if (assignmentInProgress) {
-    return res.status(409).json({ error: 'Another assignment is in progress' });
+// Turn the dispatcher on or off and tune it: { enabled, strategy, targetRatio }
+app.put('/api/dispatcher', requireRole('admin'), async (req, res) => {
+  try {
+    const { update, errors } = validateDispatchUpdate(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const before = await getDispatchSettings();
+    update.updatedBy = actorName(req);
+    const settings = await DispatchSettings.findOneAndUpdate(
+      { key: 'default' },
+      { $set: update },
+      { upsert: true, new: true, lean: true, runValidators: true }
+    );
+    await recordAudit(req, 'dispatcher.update', { before, after: settings });
+    res.status(200).json({
+      message: `Dispatcher ${settings.enabled ? 'enabled' : 'disabled'}`,
+      settings
+    });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
   }
-  assignmentInProgress = true;
+});
+
+// ------------------------------
+// Task Assignment and Completion Endpoints
+// ------------------------------
+// Assign a product to an agent. Capacity is reserved and the product is
+// claimed with atomic updates, so concurrent calls (from any process)
+// never exceed capacity or double-assign a product.
+app.post('/api/assign', scopeAgentToSelf, async (req, res) => {
   try {
     const { agentId } = req.body;
     if (!agentId) {
-      assignmentInProgress = false;
       return res.status(400).json({ error: 'Agent ID is required' });
     }
-    const agent = await Agent.findById(agentId);
-    if (!agent) {
-      assignmentInProgress = false;
-      return res.status(404).json({ error: 'Agent not found' });
+    const queueError = await checkQueueAccess(agentId, req.body.queue);
+    if (queueError) {
+      return res.status(queueError.status).json({ error: queueError.message });
     }
-    const activeCount = await Assignment.countDocuments({
-      agentId: agent._id,
-      completed: false,
-      unassignedTime: { $exists: false }
-    });
-    if (activeCount >= agent.capacity) {
-      assignmentInProgress = false;
+    const policy = await getAssignmentPolicy();
+    const agent = await reserveAgentCapacity(agentId);
+    if (!agent) {
+      const existing = await Agent.findById(agentId, { active: 1, status: 1 }).lean();
+      if (!existing) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      if (existing.active === false) {
+        return res.status(400).json({ error: 'Agent is inactive' });
+      }
+      if (existing.status === 'offline') {
+        return res.status(400).json({ error: 'Agent is offline' });
+      }
       return res.status(400).json({ error: 'Agent has reached maximum capacity' });
     }
-    // Directly query for an available product (using assigned flag)
-    const availableProduct = await Product.findOne({ assigned: false }).sort({ createdOn: 1 });
-    if (!availableProduct) {
-      assignmentInProgress = false;
+    const claimed = await assignReservedSlot(agent, buildAgentMatch(agent, policy, req.body.queue));
+    if (!claimed) {
       return res.status(404).json({ error: 'No available products to assign' });
     }
-    availableProduct.assigned = true;
-    await availableProduct.save();
-    const newAssignment = await Assignment.create({
-      agentId: agent._id,
-      productId: availableProduct.id,
-      assignedOn: new Date().toISOString().replace('T', ' ').substring(0, 19),
-      completed: false
-    });
+    const { product: availableProduct, assignment: newAssignment } = claimed;
     
     // Invalidate cache
     cache.invalidate('dashboard-data');
+    eventHub.publish('assign', {
+      agentId: agent._id,
+      productIds: [availableProduct.id]
+    }, [agent._id]);
+    await recordAudit(req, 'assign', {
+      agentIds: [agent._id],
+      productIds: [availableProduct.id],
+      assignmentIds: [newAssignment._id],
+      before: auditSnapshot({ products: [availableProduct] }),
+      after: auditSnapshot({ assignments: [newAssignment], products: await readAuditedProducts([availableProduct.id]) })
+    });
     
-    assignmentInProgress = false;
     res.status(200).json({
       message: `Task ${availableProduct.id} assigned to ${agent.name}`,
       assignment: newAssignment
     });
   } catch (error) {
-    assignmentInProgress = false;
     res.status(500).json({ error: `Server error: ${error.message}` });
   }
 });
 
-// Complete a single task
-app.post('/api/complete', async (req, res) => {
+// Fill an agent's queue: claim up to `count` products (default: all
+// remaining capacity) in one call, using the same ranking as /api/assign
+app.post('/api/assign-batch', scopeAgentToSelf, async (req, res) => {
   try {
-    const { agentId, productId } = req.body;
-    if (!agentId || !productId) {
-      return res.status(400).json({ error: 'agentId and productId are required' });
+    const { agentId, count } = req.body;
+    if (!agentId) {
+      return res.status(400).json({ error: 'Agent ID is required' });
     }
-    const agent = await Agent.findById(agentId);
+    if (count !== undefined && (!Number.isInteger(count) || count <= 0)) {
+      return res.status(400).json({ error: 'count must be a positive integer' });
+    }
+    const queueError = await checkQueueAccess(agentId, req.body.queue);
+    if (queueError) {
+      return res.status(queueError.status).json({ error: queueError.message });
+    }
+    const { agent, reserved } = await reserveAgentCapacityUpTo(agentId, count);
     if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
-    const assignment = await Assignment.findOne({
+    if (agent.active === false) {
+      return res.status(400).json({ error: 'Agent is inactive' });
+    }
+    if (agent.status === 'offline') {
+      return res.status(400).json({ error: 'Agent is offline' });
+    }
+    if (reserved === 0) {
+      return res.status(400).json({ error: 'Agent has reached maximum capacity' });
+    }
+    const policy = await getAssignmentPolicy();
+    const { products, assignments } = await assignReservedSlots(agent, reserved, buildAgentMatch(agent, policy, req.body.queue));
+    if (assignments.length === 0) {
+      return res.status(404).json({ error: 'No available products to assign' });
+    }
+
+    // Invalidate cache
+    cache.invalidate('dashboard-data');
+    eventHub.publish('assign', {
       agentId: agent._id,
-      productId,
+      productIds: assignments.map(a => a.productId)
+    }, [agent._id]);
+    await recordAudit(req, 'assign.batch', {
+      agentIds: [agent._id],
+      productIds: assignments.map(a => a.productId),
+      assignmentIds: assignments.map(a => a._id),
+      before: auditSnapshot({ products }),
+      after: auditSnapshot({ assignments, products: await readAuditedProducts(products.map(p => p.id)) }),
+      details: { requested: count || reserved }
+    });
+
+    const requested = count || reserved;
+    res.status(200).json({
+      message: `Assigned ${assignments.length} of ${requested} requested tasks to ${agent.name}`,
+      requested,
+      assigned: assignments.length,
+      partial: assignments.length < requested,
+      assignments
+    });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+// Extend the lease on an agent's open assignments (all of them, or just
+// productId when given) so the sweeper doesn't reclaim them
+app.post('/api/assignments/heartbeat', scopeAgentToSelf, async (req, res) => {
+  try {
+    const { agentId, productId } = req.body;
+    if (!agentId) {
+      return res.status(400).json({ error: 'Agent ID is required' });
+    }
+    if (!mongoose.isValidObjectId(agentId)) {
+      return res.status(400).json({ error: 'Invalid agent ID' });
+    }
+    const filter = {
+      agentId,
       completed: false,
       unassignedTime: { $exists: false }
+    };
+    if (productId) filter.productId = productId;
+    const leaseExpiresAt = newLeaseExpiry();
+    await Agent.updateOne({ _id: agentId }, { $set: { lastSeenAt: new Date() } });
+    const result = await Assignment.updateMany(filter, { $set: { leaseExpiresAt } });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'No active assignments found' });
+    }
+    res.status(200).json({
+      message: `Extended ${result.matchedCount} assignment lease(s)`,
+      extended: result.matchedCount,
+      leaseExpiresAt
     });
-    if (!assignment) {
-      return res.status(404).json({ error: 'Active assignment not found' });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+// Complete a single task
+app.post('/api/complete', scopeAgentToSelf, async (req, res) => {
+  try {
+    const { agentId, productId } = req.body;
+    if (!agentId || !productId) {
+      return res.status(400).json({ error: 'agentId and productId are required' });
+    }
+    const agent = await Agent.findById(agentId);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
     }
-    assignment.completed = true;
-    assignment.completedOn = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    await assignment.save();
-    const product = await Product.findOne({ id: productId });
-    if (product) {
-      product.assigned = false;
-      await product.save();
+    const productsBefore = await readAuditedProducts([productId]);
+    const completion = { completed: true, completedOn: new Date() };
+    // Returns the assignment as it was, for the audit entry
+    const previous = await Assignment.findOneAndUpdate(
+      {
+        agentId: agent._id,
+        productId,
+        completed: false,
+        unassignedTime: { $exists: false }
+      },
+      { $set: completion }
+    ).lean();
+    if (!previous) {
+      return res.status(404).json({ error: 'Active assignment not found' });
     }
+    await releaseAgentCapacity({ [agent._id]: 1 });
+    // A completed escalation is resolved
+    await Product.updateOne(
+      { id: productId, status: 'assigned' },
+      {
+        $set: { status: 'completed', statusChangedAt: completion.completedOn, avoidAgentIds: [] },
+        $unset: { escalatedAt: '' }
+      }
+    );
     
     // Invalidate cache
     cache.invalidate('dashboard-data');
+    eventHub.publish('complete', { agentId: agent._id, productIds: [productId] }, [agent._id]);
+    await recordAudit(req, 'complete', {
+      agentIds: [agent._id],
+      productIds: [productId],
+      assignmentIds: [previous._id],
+      before: auditSnapshot({ assignments: [previous], products: productsBefore }),
+      after: auditSnapshot({
+        assignments: [{ ...previous, ...completion }],
+        products: await readAuditedProducts([productId])
+      })
+    });
     
     res.status(200).json({ message: `Task ${productId} completed by ${agent.name}` });
   } catch (error) {
@@ -629,7 +4764,7 @@ app.post('/api/complete', async (req, res) => {
 });
 
 // Complete all tasks for an agent
-app.post('/api/complete-all-agent', async (req, res) => {
+app.post('/api/complete-all-agent', requireRole('supervisor', 'admin'), async (req, res) => {
   try {
     const { agentId } = req.body;
     if (!agentId) {
@@ -650,39 +4785,172 @@ app.post('/api/complete-all-agent', async (req, res) => {
     
     // Get all product IDs to update
     const productIds = activeAssignments.map(a => a.productId);
+    const productSnapshot = await snapshotProducts(productIds);
+    const productsBefore = await readAuditedProducts(productIds);
     
     // Bulk update assignments
-    await Assignment.updateMany(
+    const now = new Date();
+    const result = await Assignment.updateMany(
       {
-        agentId: agent._id,
+        _id: { $in: activeAssignments.map(a => a._id) },
         completed: false,
         unassignedTime: { $exists: false }
       },
       {
         $set: {
           completed: true,
-          completedOn: new Date().toISOString().replace('T', ' ').substring(0, 19)
+          completedOn: now
         }
       }
     );
+    await releaseAgentCapacity({ [agent._id]: result.modifiedCount });
     
-    // Bulk update products
+    // Bulk update products (completed escalations are resolved)
     await Product.updateMany(
-      { id: { $in: productIds } },
-      { $set: { assigned: false } }
+      { id: { $in: productIds }, status: 'assigned' },
+      { $set: { status: 'completed', statusChangedAt: now, avoidAgentIds: [] }, $unset: { escalatedAt: '' } }
     );
     
     // Invalidate cache
     cache.invalidate('dashboard-data');
+    eventHub.publish('complete', { agentId: agent._id, productIds }, [agent._id]);
+    const operation = await recordBulkOperation(req, 'complete-all-agent', now, activeAssignments, productSnapshot);
+    await recordAudit(req, 'complete.all-agent', {
+      agentIds: [agent._id],
+      productIds,
+      assignmentIds: activeAssignments.map(a => a._id),
+      before: auditSnapshot({ assignments: activeAssignments, products: productsBefore }),
+      after: await readAuditSnapshot(activeAssignments.map(a => a._id), productIds),
+      details: { operationId: operation._id }
+    });
     
     res.status(200).json({
-      message: `Completed all (${activeAssignments.length}) tasks for agent ${agent.name}`
+      message: `Completed all (${activeAssignments.length}) tasks for agent ${agent.name}`,
+      operationId: operation._id,
+      undoExpiresAt: operation.undoExpiresAt
+    });
+  } catch (error) {
+    res.status(500).json({ error: `Server error: ${error.message}` });
+  }
+});
+
+// Return a task the agent can't finish, with a reason code and optional
+// note. The product goes back to the pool, or to the escalation queue for
+// reason 'escalation'. avoidSameAgent (default true) keeps it away from
+// this agent on later assigns.
+app.post('/api/return', scopeAgentToSelf, async (req, res) => {
+  try {
+    const { agentId, productId, reason } = req.body;
+    const note = req.body.note === undefined || req.body.note === null ? '' : String(req.body.note).trim();
+    const avoidSameAgent = req.body.avoidSameAgent !== false;
+    if (!agentId || !productId) {
+      return res.status(400).json({ error: 'agentId and productId are required' });
+    }
+    if (!RETURN_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${RETURN_REASONS.join(', ')}` });
+    }
+    if (note.length > MAX_RETURN_NOTE_LENGTH) {
+      return res.status(400).json({ error: `note must be at most ${MAX_RETURN_NOTE_LENGTH} characters` });
+    }
+    const agent = await Agent.findById(agentId);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    const productsBefore = await readAuditedProducts([productId]);
+    const returned = {
+      unassignedTime: new Date(),
+      unassignedBy: actorName(req),
+      wasUnassigned: true,
+      returnReason: reason,
+      returnNote: note || undefined
+    };
+    // Returns the assignment as it was, for the audit entry
+    const previous = await Assignment.findOneAndUpdate(
+      {
+        agentId: agent._id,
+        productId,
+        completed: false,
+        unassignedTime: { $exists: false }
+      },
+      { $set: returned }
+    ).lean();
+    if (!previous) {
+      return res.status(404).json({ error: 'Active assignment not found' });
+    }
+    const assignment = { ...previous, ...returned };
+    await releaseAgentCapacity({ [agent._id]: 1 });
+
+    const productUpdate = {};
+    if (reason === 'escalation') productUpdate.$set = { escalatedAt: assignment.unassignedTime };
+    if (avoidSameAgent) productUpdate.$addToSet = { avoidAgentIds: agent._id };
+    if (Object.keys(productUpdate).length > 0) {
+      await Product.updateOne({ id: productId, status: 'assigned' }, productUpdate);
+    }
+    await releaseProducts({ id: productId });
+
+    // Invalidate cache
+    cache.invalidate('dashboard-data');
+    eventHub.publish('return', { agentId: agent._id, productIds: [productId], reason }, [agent._id]);
+    await recordAudit(req, 'return', {
+      agentIds: [agent._id],
+      productIds: [productId],
+      assignmentIds: [assignment._id],
+      before: auditSnapshot({ assignments: [previous], products: productsBefore }),
+      after: auditSnapshot({ assignments: [assignment], products: await readAuditedProducts([productId]) }),
+      details: { reason, note, escalated: reason === 'escalation', avoidSameAgent }
+    });
+
+    res.status(200).json({
+      message: reason === 'escalation'
+        ? `Task ${productId} returned and escalated`
+        : `Task ${productId} returned (${reason})`,
+      assignment
     });
   } catch (error) {
     res.status(500).json({ error: `Server error: ${error.message}` });
   }
 });
 
+// Escalation queue: escalated products waiting for an escalation agent,
+// with the return that escalated them. Same filters and paging as /api/queue.
+app.get('/api/escalations', async (req, res) => {
+  try {
+    const filter = { ...(await buildProductFilter(req.query, req.timeZone)), status: 'escalated' };
+    const page = await paginate(Product, filter, {
+      id: 1,
+      name: 1,
+      priority: 1,
+      tenantId: 1,
+      createdOn: 1,
+      count: 1,
+      status: 1,
+      escalatedAt: 1
+    }, req.query, { sortFields: [...PRODUCT_SORT_FIELDS, 'escalatedAt'], defaultSort: 'escalatedAt' });
+    const returns = await Assignment.find(
+      { productId: { $in: page.data.map(p => p.id) }, returnReason: 'escalation' },
+      { productId: 1, agentId: 1, returnNote: 1, unassignedTime: 1, unassignedBy: 1 }
+    ).sort({ unassignedTime: -1 }).lean();
+    const latest = {};
+    for (const r of returns) {
+      if (!latest[r.productId]) latest[r.productId] = r;
+    }
+    page.data = page.data.map(p => ({
+      ...p,
+      escalation: latest[p.id]
+        ? {
+          agentId: latest[p.id].agentId,
+          note: latest[p.id].returnNote || '',
+          returnedAt: latest[p.id].unassignedTime,
+          returnedBy: latest[p.id].unassignedBy
+        }
+        : null
+    }));
+    res.json(page);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Unassign a single product
 app.post('/api/unassign-product', async (req, res) => {
   try {
@@ -698,41 +4966,46 @@ app.post('/api/unassign-product', async (req, res) => {
     if (productAssignments.length === 0) {
       return res.status(404).json({ error: 'No active assignment found for this product' });
     }
+    // Agents may only release their own work
+    if (req.user.role === 'agent' &&
+        productAssignments.some(a => String(a.agentId) !== String(req.user.agentId))) {
+      return res.status(403).json({ error: 'You can only unassign your own tasks' });
+    }
     
-    // Collect agent IDs for lookup
     const agentIds = productAssignments.map(a => a.agentId);
-    const agents = await Agent.find({ _id: { $in: agentIds } }, { name: 1 }).lean();
-    
-    // Create agent lookup map
-    const agentMap = {};
-    agents.forEach(a => {
-      agentMap[a._id] = a.name;
-    });
+    const productsBefore = await readAuditedProducts([productId]);
     
     // Update assignments
-    const now = new Date().toISOString().replace('T', ' ').substring(0, 19);
+    const now = new Date();
     await Assignment.updateMany(
       {
-        productId,
+        _id: { $in: productAssignments.map(a => a._id) },
         completed: false,
         unassignedTime: { $exists: false }
       },
       {
         $set: {
           unassignedTime: now,
-          unassignedBy: agentMap[productAssignments[0].agentId] || 'Unknown'
+          unassignedBy: actorName(req),
+          wasUnassigned: true
         }
       }
     );
-    
-    const product = await Product.findOne({ id: productId });
-    if (product) {
-      product.assigned = false;
-      await product.save();
-    }
+    // Free a slot only for assignments this request closed
+    const closed = await stampedAssignments(productAssignments, 'unassignedTime', now);
+    await releaseAgentCapacity(countByAgent(closed));
+    await releaseProducts({ id: productId });
     
     // Invalidate cache
     cache.invalidate('dashboard-data');
+    eventHub.publish('unassign', { productIds: [productId] }, agentIds);
+    await recordAudit(req, 'unassign.product', {
+      agentIds,
+      productIds: [productId],
+      assignmentIds: closed.map(a => a._id),
+      before: auditSnapshot({ assignments: closed, products: productsBefore }),
+      after: await readAuditSnapshot(closed.map(a => a._id), [productId])
+    });
     
     res.status(200).json({ message: `Product ${productId} unassigned successfully` });
   } catch (error) {
@@ -740,8 +5013,65 @@ app.post('/api/unassign-product', async (req, res) => {
   }
 });
 
+// Unassigns all of an agent's open tasks back to the pool, as a bulk
+// operation that can be undone. Returns null when the agent has none.
+async function releaseAgentTasks(req, agent, auditAction) {
+  const activeAssignments = await Assignment.find({
+    agentId: agent._id,
+    completed: false,
+    unassignedTime: { $exists: false }
+  });
+  if (activeAssignments.length === 0) return null;
+  
+  // Get product IDs to update
+  const productIds = activeAssignments.map(a => a.productId);
+  const productSnapshot = await snapshotProducts(productIds);
+  const productsBefore = await readAuditedProducts(productIds);
+  
+  // Bulk update assignments
+  const now = new Date();
+  const result = await Assignment.updateMany(
+    {
+      _id: { $in: activeAssignments.map(a => a._id) },
+      completed: false,
+      unassignedTime: { $exists: false }
+    },
+    {
+      $set: {
+        unassignedTime: now,
+        unassignedBy: actorName(req),
+        wasUnassigned: true
+      }
+    }
+  );
+  await releaseAgentCapacity({ [agent._id]: result.modifiedCount });
+  // Completed or unassigned by someone else in between: not ours to release
+  const closed = await stampedAssignments(activeAssignments, 'unassignedTime', now);
+  const closedProductIds = closed.map(a => a.productId);
+  
+  // Bulk update products
+  await releaseProducts({ id: { $in: closedProductIds } });
+  
+  // Invalidate cache
+  cache.invalidate('dashboard-data');
+  eventHub.publish('unassign', { agentId: agent._id, productIds: closedProductIds }, [agent._id]);
+  const operation = await recordBulkOperation(req, 'unassign-agent', now, closed, productSnapshot);
+  await recordAudit(req, auditAction, {
+    agentIds: [agent._id],
+    productIds: closedProductIds,
+    assignmentIds: closed.map(a => a._id),
+    before: auditSnapshot({
+      assignments: closed,
+      products: productsBefore.filter(p => closedProductIds.includes(p.id))
+    }),
+    after: await readAuditSnapshot(closed.map(a => a._id), closedProductIds),
+    details: { operationId: operation._id }
+  });
+  return { count: result.modifiedCount, operation };
+}
+
 // Unassign all tasks from a specific agent
-app.post('/api/unassign-agent', async (req, res) => {
+app.post('/api/unassign-agent', requireRole('supervisor', 'admin'), async (req, res) => {
   try {
     const { agentId } = req.body;
     if (!agentId) {
@@ -751,44 +5081,15 @@ app.post('/api/unassign-agent', async (req, res) => {
     if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
-    const activeAssignments = await Assignment.find({
-      agentId: agent._id,
-      completed: false,
-      unassignedTime: { $exists: false }
-    });
-    if (activeAssignments.length === 0) {
+    const released = await releaseAgentTasks(req, agent, 'unassign.agent');
+    if (!released) {
       return res.status(200).json({ message: 'Agent has no tasks to unassign' });
     }
     
-    // Get product IDs to update
-    const productIds = activeAssignments.map(a => a.productId);
-    
-    // Bulk update assignments
-    await Assignment.updateMany(
-      {
-        agentId: agent._id,
-        completed: false,
-        unassignedTime: { $exists: false }
-      },
-      {
-        $set: {
-          unassignedTime: new Date().toISOString().replace('T', ' ').substring(0, 19),
-          unassignedBy: agent.name
-        }
-      }
-    );
-    
-    // Bulk update products
-    await Product.updateMany(
-      { id: { $in: productIds } },
-      { $set: { assigned: false } }
-    );
-    
-    // Invalidate cache
-    cache.invalidate('dashboard-data');
-    
     res.status(200).json({
-      message: `Unassigned ${activeAssignments.length} tasks from agent ${agent.name}`
+      message: `Unassigned ${released.count} tasks from agent ${agent.name}`,
+      operationId: released.operation._id,
+      undoExpiresAt: released.operation.undoExpiresAt
     });
   } catch (error) {
     res.status(500).json({ error: `Server error: ${error.message}` });
@@ -796,7 +5097,7 @@ app.post('/api/unassign-agent', async (req, res) => {
 });
 
 // Unassign all tasks from all agents
-app.post('/api/unassign-all', async (req, res) => {
+app.post('/api/unassign-all', requireRole('supervisor', 'admin'), async (req, res) => {
   try {
     // Get all active assignments
     const activeAssignments = await Assignment.find({
@@ -811,186 +5112,520 @@ app.post('/api/unassign-all', async (req, res) => {
     // Collect agent IDs and product IDs
     const agentIds = [...new Set(activeAssignments.map(a => a.agentId))];
     const productIds = activeAssignments.map(a => a.productId);
-    
-    // Get agent names
-    const agents = await Agent.find({ _id: { $in: agentIds } }, { name: 1 }).lean();
-    const agentMap = {};
-    agents.forEach(a => {
-      agentMap[a._id] = a.name;
-    });
+    const productSnapshot = await snapshotProducts(productIds);
+    const productsBefore = await readAuditedProducts(productIds);
     
     // Prepare unassignment data
-    const now = new Date().toISOString().replace('T', ' ').substring(0, 19);
+    const now = new Date();
     
     // Bulk update all assignments
     const bulkOps = activeAssignments.map(a => ({
       updateOne: {
-        filter: { _id: a._id },
+        filter: { _id: a._id, completed: false, unassignedTime: { $exists: false } },
         update: {
           $set: {
             unassignedTime: now,
-            unassignedBy: agentMap[a.agentId] || 'Unknown'
+            unassignedBy: actorName(req),
+            wasUnassigned: true
           }
         }
       }
     }));
     
     await Assignment.bulkWrite(bulkOps);
+    // Free a slot only for assignments this request closed
+    const closed = await stampedAssignments(activeAssignments, 'unassignedTime', now);
+    await releaseAgentCapacity(countByAgent(closed));
+    // Transferred, completed or unassigned in between: not ours to release
+    const closedProductIds = closed.map(a => a.productId);
     
     // Bulk update all products
-    await Product.updateMany(
-      { id: { $in: productIds } },
-      { $set: { assigned: false } }
-    );
+    await releaseProducts({ id: { $in: closedProductIds } });
     
     // Invalidate cache
     cache.invalidate('dashboard-data');
+    eventHub.publish('unassign', { all: true, productIds: closedProductIds }, agentIds);
+    const operation = await recordBulkOperation(req, 'unassign-all', now, closed, productSnapshot);
+    await recordAudit(req, 'unassign.all', {
+      agentIds,
+      productIds: closedProductIds,
+      assignmentIds: closed.map(a => a._id),
+      before: auditSnapshot({
+        assignments: closed,
+        products: productsBefore.filter(p => closedProductIds.includes(p.id))
+      }),
+      after: await readAuditSnapshot(closed.map(a => a._id), closedProductIds),
+      details: { operationId: operation._id }
+    });
     
     res.status(200).json({
-      message: `Unassigned ${activeAssignments.length} tasks from all agents`
+      message: `Unassigned ${closed.length} tasks from all agents`,
+      operationId: operation._id,
+      undoExpiresAt: operation.undoExpiresAt
     });
   } catch (error) {
     res.status(500).json({ error: `Server error: ${error.message}` });
   }
 });
 
-// ------------------------------
-// CSV Download Endpoints
-// ------------------------------
-app.get('/api/download/completed-assignments', async (req, res) => {
+// Hand specific products straight to another agent (no trip through the
+// pool). Body: toAgentId, productIds (or productId) and optionally
+// fromAgentId to require that the tasks are currently held by that agent.
+// All of the tasks must fit in the target agent's remaining capacity.
+app.post('/api/transfer', requireRole('supervisor', 'admin'), async (req, res) => {
   try {
-    const completed = await Assignment.find({ completed: true }).lean();
-    
-    // Get unique agent IDs
-    const agentIds = [...new Set(completed.map(a => a.agentId))];
-    
-    // Fetch all agents in one query
-    const agents = await Agent.find({ _id: { $in: agentIds } }, { name: 1 }).lean();
-    
-    // Create a map for easy lookup
-    const agentMap = {};
-    agents.forEach(a => {
-      agentMap[a._id] = a.name;
-    });
-    
-    res.setHeader('Content-disposition', 'attachment; filename=completed-tasks.csv');
-    res.setHeader('Content-Type', 'text/csv');
-    const csvStream = format({ headers: true });
-    csvStream.pipe(res);
-    for (const a of completed) {
-      csvStream.write({
-        assignmentId: a._id,
-        agentId: a.agentId,
-        completedBy: agentMap[a.agentId] || 'Unknown',
-        productId: a.productId,
-        assignedOn: a.assignedOn,
-        completedOn: a.completedOn
+    const { toAgentId, fromAgentId } = req.body;
+    const productIds = parseListParam(req.body.productIds ?? req.body.productId);
+    if (!toAgentId || !productIds) {
+      return res.status(400).json({ error: 'toAgentId and productIds are required' });
+    }
+    if (!mongoose.isValidObjectId(toAgentId) || (fromAgentId && !mongoose.isValidObjectId(fromAgentId))) {
+      return res.status(400).json({ error: 'Invalid agent ID' });
+    }
+    const toAgent = await Agent.findById(toAgentId).lean();
+    if (!toAgent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (toAgent.active === false) {
+      return res.status(400).json({ error: 'Agent is inactive' });
+    }
+    if (toAgent.status === 'offline') {
+      return res.status(400).json({ error: `${toAgent.name} is offline` });
+    }
+
+    const filter = {
+      productId: { $in: productIds },
+      completed: false,
+      unassignedTime: { $exists: false }
+    };
+    if (fromAgentId) filter.agentId = fromAgentId;
+    const assignments = await Assignment.find(filter).lean();
+    const held = new Set(assignments.map(a => a.productId));
+    const missing = productIds.filter(id => !held.has(id));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `No active assignment found for: ${missing.join(', ')}` });
+    }
+    const alreadyHeld = assignments.filter(a => String(a.agentId) === String(toAgent._id));
+    if (alreadyHeld.length > 0) {
+      return res.status(400).json({
+        error: `Already assigned to ${toAgent.name}: ${alreadyHeld.map(a => a.productId).join(', ')}`
+      });
+    }
+    const products = await Product.find({ id: { $in: productIds } }, { id: 1, tenantId: 1, priority: 1 }).lean();
+    const policy = await getAssignmentPolicy();
+    const unqualified = products.filter(p => !agentQualifiedFor(toAgent, p, policy)).map(p => p.id);
+    if (unqualified.length > 0) {
+      return res.status(400).json({
+        error: `${toAgent.name} is not qualified for: ${unqualified.join(', ')}`
       });
     }
-    csvStream.end();
+
+    const reserved = await reserveAgentCapacity(toAgent._id, assignments.length);
+    if (!reserved) {
+      const current = await Agent.findById(toAgent._id, { capacity: 1, activeCount: 1 }).lean();
+      const remaining = current ? Math.max(0, current.capacity - (current.activeCount || 0)) : 0;
+      return res.status(400).json({
+        error: `${toAgent.name} has room for ${remaining} more task(s); ${assignments.length} requested`
+      });
+    }
+    const productsBefore = await readAuditedProducts(productIds);
+    const { closed, opened } = await transferAssignments(assignments, toAgent, actorName(req));
+    if (opened.length === 0) {
+      return res.status(409).json({ error: 'The tasks were closed by another request; nothing was transferred' });
+    }
+
+    const movedIds = opened.map(a => a.productId);
+    const agentIds = [...new Set([...closed.map(a => String(a.agentId)), String(toAgent._id)])];
+    cache.invalidate('dashboard-data');
+    eventHub.publish('transfer', { toAgentId: toAgent._id, productIds: movedIds }, agentIds);
+    await recordAudit(req, 'transfer', {
+      agentIds,
+      productIds: movedIds,
+      assignmentIds: [...closed.map(a => a._id), ...opened.map(a => a._id)],
+      before: auditSnapshot({
+        assignments: assignments.filter(a => closed.some(c => String(c._id) === String(a._id))),
+        products: productsBefore.filter(p => movedIds.includes(p.id))
+      }),
+      after: await readAuditSnapshot([...closed.map(a => a._id), ...opened.map(a => a._id)], movedIds)
+    });
+
+    res.status(200).json({
+      message: `Transferred ${opened.length} task(s) to ${toAgent.name}`,
+      transferred: movedIds,
+      skipped: productIds.filter(id => !movedIds.includes(id)),
+      assignments: opened
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: `Server error: ${error.message}` });
   }
 });
 
-app.get('/api/download/unassigned-products', async (req, res) => {
+// ------------------------------
+// Bulk Operation Undo Endpoints
+// ------------------------------
+// Recent bulk unassign/complete operations, newest first
+app.get('/api/operations', requireRole('supervisor', 'admin'), async (req, res) => {
   try {
-    const unassigned = await Product.find({ assigned: false }).lean();
-    res.setHeader('Content-disposition', 'attachment; filename=unassigned-products.csv');
-    res.setHeader('Content-Type', 'text/csv');
-    const csvStream = format({ headers: true });
-    csvStream.pipe(res);
-    for (const p of unassigned) {
-      csvStream.write({
-        productId: p.id,
-        priority: p.priority,
-        tenantId: p.tenantId,
-        createdOn: p.createdOn,
-        count: p.count
-      });
-    }
-    csvStream.end();
+    const operations = await BulkOperation.find({}, { products: 0 }).sort({ createdAt: -1 }).limit(50).lean();
+    res.json(operations.map(operationSummary));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/download/previously-assigned', async (req, res) => {
+// Undo a bulk operation within UNDO_WINDOW_MINUTES. Nothing is changed
+// (409 with the conflicts) if any of its products or assignments have
+// been touched since.
+app.post('/api/operations/:id/undo', requireRole('supervisor', 'admin'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid operation ID' });
+  }
+  let operation;
   try {
-    const prev = await Assignment.find({
-      $or: [{ completed: true }, { unassignedTime: { $exists: true } }]
-    }).lean();
-    
-    // Get unique product IDs
-    const productIds = [...new Set(prev.map(a => a.productId))];
-    
-    // Fetch all products in one query
-    const productsMap = {};
-    const products = await Product.find(
-      { id: { $in: productIds } },
-      { id: 1, count: 1, tenantId: 1, priority: 1, createdOn: 1 }
+    // Moving to 'undoing' first stops two undos of the same operation racing
+    operation = await BulkOperation.findOneAndUpdate(
+      { _id: req.params.id, status: 'applied', undoExpiresAt: { $gt: new Date() } },
+      { $set: { status: 'undoing' } },
+      { new: true }
     ).lean();
-    
-    // Create lookup map
-    products.forEach(p => {
-      productsMap[p.id] = p;
+    if (!operation) {
+      const existing = await BulkOperation.findById(req.params.id, { status: 1, undoExpiresAt: 1 }).lean();
+      if (!existing) {
+        return res.status(404).json({ error: 'Operation not found' });
+      }
+      if (existing.status !== 'applied') {
+        return res.status(409).json({ error: `Operation is already ${existing.status}` });
+      }
+      return res.status(409).json({ error: 'The undo window for this operation has passed' });
+    }
+
+    const assignmentIds = operation.assignments.map(a => a.assignmentId);
+    const productIds = operation.assignments.map(a => a.productId);
+    let conflicts = await findUndoConflicts(operation);
+    let before;
+    if (conflicts.length === 0) {
+      before = await readAuditSnapshot(assignmentIds, productIds);
+      const reclaimed = await reclaimForUndo(operation);
+      conflicts = reclaimed.conflicts;
+      if (conflicts.length === 0) conflicts = await undoBulkOperation(operation, actorName(req), reclaimed.rollBack);
+    }
+    if (conflicts.length > 0) {
+      await BulkOperation.updateOne({ _id: operation._id }, { $set: { status: 'applied' } });
+      return res.status(409).json({ error: 'Later changes conflict with this undo; nothing was changed', conflicts });
+    }
+
+    const agentIds = Object.keys(countByAgent(operation.assignments));
+    cache.invalidate('dashboard-data');
+    eventHub.publish('assign', { undoOf: operation._id, productIds }, agentIds);
+    await recordAudit(req, 'undo', {
+      agentIds,
+      productIds,
+      assignmentIds,
+      before,
+      after: await readAuditSnapshot(assignmentIds, productIds),
+      details: { operationId: operation._id, type: operation.type }
     });
-    
-    // Prepare results
-    const results = prev.map(a => {
-      const product = productsMap[a.productId];
-      return {
-        productId: product ? product.id : a.productId,
-        count: product ? product.count : '',
-        tenantId: product ? product.tenantId : '',
-        priority: product ? product.priority : '',
-        createdOn: product ? product.createdOn : '',
-        unassignedTime: a.unassignedTime || '',
-        unassignedBy: a.unassignedBy || ''
-      };
+
+    res.status(200).json({
+      message: `Undid ${operation.type}: reopened ${operation.assignments.length} task(s)`,
+      productIds
     });
-    
-    res.setHeader('Content-disposition', 'attachment; filename=previously-assigned.csv');
-    res.setHeader('Content-Type', 'text/csv');
-    const csvStream = format({ headers: true });
-    csvStream.pipe(res);
-    for (const row of results) {
-      csvStream.write(row);
-    }
-    csvStream.end();
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (operation) {
+      await BulkOperation.updateOne({ _id: operation._id, status: 'undoing' }, { $set: { status: 'applied' } })
+        .catch(() => {});
+    }
+    res.status(500).json({ error: `Server error: ${error.message}` });
   }
 });
 
-app.get('/api/download/queue', async (req, res) => {
+// ------------------------------
+// Download Endpoints (CSV by default; xlsx with ?format=xlsx or an
+// Accept header asking for a spreadsheet)
+// ------------------------------
+// Row builders shared by the single-sheet downloads and the workbook export
+async function completedRows(query, timeZone) {
+  const filter = { ...(await buildAssignmentFilter(query, timeZone)), completed: true };
+  const completed = await Assignment.find(filter)
+    .sort(downloadSort(query, ASSIGNMENT_SORT_FIELDS, '-completedOn'))
+    .lean();
+  
+  // Get unique agent IDs
+  const agentIds = [...new Set(completed.map(a => a.agentId))];
+  
+  // Fetch all agents in one query
+  const agents = await Agent.find({ _id: { $in: agentIds } }, { name: 1 }).lean();
+  
+  // Create a map for easy lookup
+  const agentMap = {};
+  agents.forEach(a => {
+    agentMap[a._id] = a.name;
+  });
+
+  // Reasons the product was returned before it was completed
+  const returns = await Assignment.find(
+    { productId: { $in: [...new Set(completed.map(a => a.productId))] }, returnReason: { $exists: true } },
+    { productId: 1, returnReason: 1, unassignedTime: 1 }
+  ).sort({ unassignedTime: 1 }).lean();
+  const returnsByProduct = {};
+  returns.forEach(r => {
+    (returnsByProduct[r.productId] = returnsByProduct[r.productId] || []).push(r);
+  });
+  
+  return completed.map(a => ({
+    assignmentId: String(a._id),
+    agentId: String(a.agentId),
+    completedBy: agentMap[a.agentId] || 'Unknown',
+    productId: a.productId,
+    assignedOn: a.assignedOn,
+    completedOn: a.completedOn,
+    returnReasons: (returnsByProduct[a.productId] || [])
+      .filter(r => r.unassignedTime <= a.completedOn)
+      .map(r => r.returnReason)
+      .join(' ')
+  }));
+}
+
+async function unassignedRows(query, timeZone) {
+  const filter = await buildProductFilter(query, timeZone);
+  if (!filter.status) filter.status = 'pending';
+  const unassigned = await Product.find(filter)
+    .sort(downloadSort(query, PRODUCT_SORT_FIELDS, 'createdOn'))
+    .lean();
+  return unassigned.map(p => ({
+    productId: p.id,
+    priority: p.priority,
+    tenantId: p.tenantId,
+    createdOn: p.createdOn,
+    count: p.count,
+    status: p.status
+  }));
+}
+
+async function previouslyAssignedRows(query, timeZone) {
+  const filter = {
+    $and: [
+      await buildAssignmentFilter(query, timeZone),
+      { $or: [{ completed: true }, { unassignedTime: { $exists: true } }] }
+    ]
+  };
+  const prev = await Assignment.find(filter)
+    .sort(downloadSort(query, ASSIGNMENT_SORT_FIELDS, '-assignedOn'))
+    .lean();
+  
+  // Get unique product IDs
+  const productIds = [...new Set(prev.map(a => a.productId))];
+  
+  // Fetch all products in one query
+  const productsMap = {};
+  const products = await Product.find(
+    { id: { $in: productIds } },
+    { id: 1, count: 1, tenantId: 1, priority: 1, createdOn: 1, status: 1 }
+  ).lean();
+  
+  // Create lookup map
+  products.forEach(p => {
+    productsMap[p.id] = p;
+  });
+  
+  return prev.map(a => {
+    const product = productsMap[a.productId];
+    return {
+      productId: product ? product.id : a.productId,
+      count: product ? product.count : '',
+      tenantId: product ? product.tenantId : '',
+      priority: product ? product.priority : '',
+      createdOn: product ? product.createdOn : '',
+      status: product ? product.status : '',
+      unassignedTime: a.unassignedTime || '',
+      unassignedBy: a.unassignedBy || '',
+      returnReason: a.returnReason || '',
+      returnNote: a.returnNote || ''
+    };
+  });
+}
+
+async function queueRows(query, timeZone) {
+  const filter = await buildProductFilter(query, timeZone);
+  const allProducts = await Product.find(filter)
+    .sort(downloadSort(query, PRODUCT_SORT_FIELDS, 'createdOn'))
+    .lean();
+  return allProducts.map(p => ({
+    productId: p.id,
+    priority: p.priority,
+    tenantId: p.tenantId,
+    createdOn: p.createdOn,
+    count: p.count,
+    status: p.status,
+    assigned: p.status === 'assigned' ? "Yes" : "No",
+    taskNumbers: (p.taskNumbers || []).join(' ')
+  }));
+}
+
+async function auditRows(query, timeZone) {
+  const entries = await AuditLog.find(buildAuditFilter(query, timeZone))
+    .sort(downloadSort(query, AUDIT_SORT_FIELDS, '-createdAt'))
+    .lean();
+  const json = value => (value === undefined || value === null ? '' : JSON.stringify(value));
+  return entries.map(e => ({
+    timestamp: e.createdAt,
+    action: e.action,
+    actor: e.actor ? e.actor.username : '',
+    actorRole: (e.actor && e.actor.role) || '',
+    agentIds: (e.agentIds || []).join(' '),
+    productIds: (e.productIds || []).join(' '),
+    assignmentIds: (e.assignmentIds || []).join(' '),
+    before: json(e.before),
+    after: json(e.after),
+    details: json(e.details)
+  }));
+}
+
+const DOWNLOADS = {
+  'completed-assignments': {
+    filename: 'completed-tasks',
+    sheet: 'Completed',
+    rows: completedRows,
+    sortFields: ASSIGNMENT_SORT_FIELDS,
+    columns: ['assignmentId', 'agentId', 'completedBy', 'productId', 'assignedOn', 'completedOn', 'returnReasons']
+  },
+  'unassigned-products': {
+    filename: 'unassigned-products',
+    sheet: 'Unassigned',
+    rows: unassignedRows,
+    sortFields: PRODUCT_SORT_FIELDS,
+    columns: ['productId', 'priority', 'tenantId', 'createdOn', 'count', 'status']
+  },
+  'previously-assigned': {
+    filename: 'previously-assigned',
+    sheet: 'Previously Assigned',
+    rows: previouslyAssignedRows,
+    sortFields: ASSIGNMENT_SORT_FIELDS,
+    columns: ['productId', 'count', 'tenantId', 'priority', 'createdOn', 'status', 'unassignedTime', 'unassignedBy',
+      'returnReason', 'returnNote']
+  },
+  'queue': {
+    filename: 'product-queue',
+    sheet: 'Queue',
+    rows: queueRows,
+    sortFields: PRODUCT_SORT_FIELDS,
+    columns: ['productId', 'priority', 'tenantId', 'createdOn', 'count', 'status', 'assigned', 'taskNumbers']
+  },
+  'audit-log': {
+    filename: 'audit-log',
+    sheet: 'Audit Log',
+    rows: auditRows,
+    sortFields: AUDIT_SORT_FIELDS,
+    columns: ['timestamp', 'action', 'actor', 'actorRole', 'agentIds', 'productIds', 'assignmentIds',
+      'before', 'after', 'details']
+  }
+};
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function wantsXlsx(req) {
+  if (req.query.format) return String(req.query.format).toLowerCase() === 'xlsx';
+  return req.accepts(['text/csv', XLSX_MIME]) === XLSX_MIME;
+}
+
+// Builds a worksheet with a header row, date cells (wall-clock time in
+// timeZone) and numeric cells
+function rowsToSheet(rows, columns, timeZone) {
+  const typed = rows.map(row => {
+    const out = { ...row };
+    for (const [column, value] of Object.entries(out)) {
+      if (!(value instanceof Date) || isNaN(value)) continue;
+      // SheetJS stores dates in local time, so rebuild the wall-clock time locally
+      const wallClock = toZonedWallClock(value, timeZone);
+      out[column] = new Date(wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate(),
+        wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds());
+    }
+    return out;
+  });
+  return xlsx.utils.json_to_sheet(typed, { header: columns, cellDates: true, dateNF: 'yyyy-mm-dd hh:mm:ss' });
+}
+
+function sendWorkbook(res, sheets, filename, timeZone) {
+  const workbook = xlsx.utils.book_new();
+  for (const { name, rows, columns } of sheets) {
+    xlsx.utils.book_append_sheet(workbook, rowsToSheet(rows, columns, timeZone), name);
+  }
+  res.setHeader('Content-disposition', `attachment; filename=${filename}.xlsx`);
+  res.setHeader('Content-Type', XLSX_MIME);
+  res.send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+// Dates are written as "YYYY-MM-DD HH:MM:SS" in timeZone
+function sendCsv(res, rows, filename, timeZone) {
+  res.setHeader('Content-disposition', `attachment; filename=${filename}.csv`);
+  res.setHeader('Content-Type', 'text/csv');
+  const csvStream = format({ headers: true });
+  csvStream.pipe(res);
+  const render = value => (value instanceof Date && !isNaN(value) ? formatInTimeZone(value, timeZone) : value);
+  for (const row of rows) {
+    csvStream.write(Object.fromEntries(Object.entries(row).map(([key, value]) => [key, render(value)])));
+  }
+  csvStream.end();
+}
+
+for (const [route, download] of Object.entries(DOWNLOADS)) {
+  app.get(`/api/download/${route}`, requireRole('supervisor', 'admin'), async (req, res) => {
+    try {
+      const rows = await download.rows(req.query, req.timeZone);
+      if (wantsXlsx(req)) {
+        sendWorkbook(res, [{ name: download.sheet, rows, columns: download.columns }], download.filename, req.timeZone);
+      } else {
+        sendCsv(res, rows, download.filename, req.timeZone);
+      }
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+}
+
+// Combined workbook: one sheet each for queue, completed, unassigned and
+// previously assigned (filters apply to every sheet they're relevant to).
+// sort applies to the sheets that support its field; the rest keep their
+// default order.
+app.get('/api/download/workbook', requireRole('supervisor', 'admin'), async (req, res) => {
   try {
-    const allProducts = await Product.find().lean();
-    res.setHeader('Content-disposition', 'attachment; filename=product-queue.csv');
-    res.setHeader('Content-Type', 'text/csv');
-    const csvStream = format({ headers: true });
-    csvStream.pipe(res);
-    for (const p of allProducts) {
-      csvStream.write({
-        productId: p.id,
-        priority: p.priority,
-        tenantId: p.tenantId,
-        createdOn: p.createdOn,
-        count: p.count,
-        assigned: p.assigned ? "Yes" : "No"
-      });
+    const order = ['queue', 'completed-assignments', 'unassigned-products', 'previously-assigned'];
+    const sortField = req.query.sort ? String(req.query.sort).trim().replace(/^[-+]/, '') : null;
+    if (sortField && !order.some(key => DOWNLOADS[key].sortFields.includes(sortField))) {
+      const allowed = [...new Set(order.flatMap(key => DOWNLOADS[key].sortFields))];
+      throw badRequest(`sort must be one of: ${allowed.join(', ')} (prefix with - for descending)`);
     }
-    csvStream.end();
+    const sheetQuery = key => (sortField && !DOWNLOADS[key].sortFields.includes(sortField)
+      ? { ...req.query, sort: undefined }
+      : req.query);
+    const sheets = await Promise.all(order.map(async key => ({
+      name: DOWNLOADS[key].sheet,
+      columns: DOWNLOADS[key].columns,
+      rows: await DOWNLOADS[key].rows(sheetQuery(key), req.timeZone)
+    })));
+    sendWorkbook(res, sheets, 'product-assignment-report', req.timeZone);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // ------------------------------
 // Start the Server
 // ------------------------------
-app.listen(PORT, async () => {
-  console.log(`Server running on port ${PORT}`);
-  await loadData();
-  console.log('Server is ready to handle requests');
-});
\ No newline at end of file
+// worker.js requires this file to reuse the job handlers without serving HTTP
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    console.log(`Server running on port ${PORT}`);
+    await loadData();
+    startLeaseSweeper();
+    // Only the process holding the dispatcher lease dispatches; set
+    // DISPATCHER=off to keep this one from ever taking it
+    if (process.env.DISPATCHER !== 'off') startDispatcher();
+    // Set JOB_WORKER=off when jobs are handled by a separate worker.js process
+    if (process.env.JOB_WORKER !== 'off') startJobWorker();
+    startJobRelay();
+    console.log('Server is ready to handle requests');
+  });
+}
+
+module.exports = { app, loadData, runMigrations, startJobWorker };
\ No newline at end of file
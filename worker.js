@@ -1,22 +1,15 @@
-// worker.js
-const Queue = require('bull');
-const { loadData } = require('./server'); // Export loadData from your server.js or create a module for CSV processing
+// worker.js - standalone background job worker
+// Processes upload and refresh jobs from the Mongo-backed queue (see
+// "Background Jobs" in server.js). Run it alongside the web server
+// started with JOB_WORKER=off, e.g. `node worker.js`. It only needs the
+// same MONGO_URI: uploaded files are read from GridFS, and the web
+// processes pick up finished jobs' events from the jobs collection.
+const { runMigrations, startJobWorker } = require('./server');
 
-// Create a Bull queue named "csvProcessing"
-const csvQueue = new Queue('csvProcessing', {
-  redis: { host: '127.0.0.1', port: 6379 } // adjust as needed for your Redis instance
-});
-
-// Process jobs in the queue
-csvQueue.process(async (job) => {
-  console.log(`Processing job: ${job.id} for files: ${job.data.files}`);
-  // Call your loadData function (which re-reads CSV files) or your CSV processing logic
-  await loadData();
-  console.log(`Job ${job.id} completed`);
-  return { status: 'completed' };
-});
-
-// Optional: Listen for events
-csvQueue.on('completed', (job, result) => {
-  console.log(`Job ${job.id} completed with result:`, result);
-});
+// Jobs must never see documents from before the migrations
+runMigrations()
+  .then(startJobWorker)
+  .catch(error => {
+    console.error('Job worker failed to start:', error);
+    process.exit(1);
+  });